@@ -1,20 +1,16 @@
-define(['module', 'jquery', 'underscore', 'backbone', './lib/sync', './views/dataset'],
-    function(module, $, _, Backbone, sync, DatasetEmbedView) {
+define(['module', 'underscore', 'backbone', './lib/sync', './lib/sources/default', './lib/sources/rest', './views/dataset'],
+    function(module, _, Backbone, sync, defaultSource, RestSource, DatasetEmbedView) {
     'use strict';
 
     // Override Backbone sync
     Backbone.sync = sync;
 
-    // Get base URL
-    var config = module.config(),
-        base_url = (_.isUndefined(config['BASE_URL'])) ? 'https://dataseedapp.com' : config['BASE_URL'];
-
-    // Setup external API access
-    var _ajax = $.ajax;
-    $.extend({
-        ajax: function(options) {
-            options['url'] = base_url + options['url'];
-            return _ajax.call(this, options);
-        }
-    });
+    // Set the default data source's base URL (the Dataseed API, unless
+    // configured otherwise)
+    var config = module.config();
+    if (!_.isUndefined(config['BASE_URL'])) {
+        defaultSource.baseUrl = config['BASE_URL'];
+    } else if (defaultSource.constructor === RestSource && !defaultSource.baseUrl) {
+        defaultSource.baseUrl = 'https://dataseedapp.com';
+    }
 });
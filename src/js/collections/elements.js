@@ -1,9 +1,12 @@
-define(['backbone', 'underscore', '../models/visualisation/element/dynamic/measureElement', '../models/visualisation/element/dynamic/dimensionalElement', '../models/visualisation/element/staticElement'],
-    function (Backbone, _, MeasureElement, DimensionalElement, StaticElement) {
+define(['backbone', 'underscore', '../models/visualisation/element/dynamic/measureElement', '../models/visualisation/element/dynamic/dimensionalElement', '../models/visualisation/element/dynamic/pivotElement', '../models/visualisation/element/dynamic/scatterElement', '../models/visualisation/element/staticElement'],
+    function (Backbone, _, MeasureElement, DimensionalElement, PivotElement, ScatterElement, StaticElement) {
     'use strict';
 
     var elementTypes = {
         summary: MeasureElement,
+        pivot: PivotElement,
+        heatmap: PivotElement,
+        scatter: ScatterElement,
         text: StaticElement
     };
 
@@ -46,6 +49,29 @@ define(['backbone', 'underscore', '../models/visualisation/element/dynamic/measu
                     element.resetConnections();
                 }
             });
+        },
+
+        /**
+         * Get the elements' view state to be stored in a URL
+         */
+        getLinkState: function() {
+            return _.object(_.compact(this.map(function(element) {
+                var state = element.getLinkState();
+                if (element.has('id') && !_.isNull(state)) {
+                    return [element.get('id'), state];
+                }
+            })));
+        },
+
+        /**
+         * Update elements' view state from the representation returned by getLinkState()
+         */
+        setLinkState: function(states) {
+            this.forEach(function(element) {
+                if (element.get('id') in states) {
+                    element.setLinkState(states[element.get('id')]);
+                }
+            });
         }
 
     });
@@ -1,5 +1,5 @@
-define(['backbone', 'underscore', '../models/dataset/connection', '../models/dataset/dimensionalConnection' ],
-    function(Backbone, _, Connection, DimensionalConnection) {
+define(['backbone', 'underscore', '../lib/cache', '../lib/cut', '../models/dataset/connection', '../models/dataset/dimensionalConnection', '../models/dataset/calculatedConnection', '../models/dataset/crossTabConnection', '../models/dataset/offsetConnection'],
+    function(Backbone, _, Cache, cuts, Connection, DimensionalConnection, CalculatedConnection, CrossTabConnection, OffsetConnection) {
     'use strict';
 
     var ConnectionPool = Backbone.Collection.extend({
@@ -7,6 +7,15 @@ define(['backbone', 'underscore', '../models/dataset/connection', '../models/dat
         // Polymorphic Connection models
         // http://backbonejs.org/#Collection-model
         model: function (attrs, options) {
+            if (attrs.type === 'observations' && !_.isUndefined(attrs.column_dimension)) {
+                return new CrossTabConnection(attrs, options);
+            }
+            if (attrs.type === 'observations' && !_.isUndefined(attrs.expression)) {
+                return new CalculatedConnection(attrs, options);
+            }
+            if (attrs.type === 'observations' && !_.isUndefined(attrs.offset_interval)) {
+                return new OffsetConnection(attrs, options);
+            }
             if (_.isUndefined(attrs.dimension)) {
                 return new Connection(attrs, options);
             }
@@ -14,9 +23,130 @@ define(['backbone', 'underscore', '../models/dataset/connection', '../models/dat
 
         },
 
+        // Merge the connection fetches issued in the same tick into a single
+        // batch request. Opt-in (see the dataset's "batch_requests" option),
+        // as the back-end has to serve the batch endpoint (see batchUrl())
+        batchRequests: false,
+
+        // Maximum number of cached connection responses (0 disables the
+        // cache) and their time-to-live in ms (0 for no expiry)
+        cacheSize: 100,
+        cacheTTL: 300000,
+
         initialize: function(models, options) {
             this.dataset = options.dataset;
             this.defaultCut = options.defaultCut;
+
+            // Override default settings
+            _.extend(this, _.pick(options, function(value, key) {
+                return _.contains(['batchRequests', 'cacheSize', 'cacheTTL'], key) && !_.isUndefined(value);
+            }));
+
+            // Not all data sources support batch requests
+            if (_.isNull(this.batchUrl())) {
+                this.batchRequests = false;
+            }
+
+            // Connection fetches waiting to be sent
+            this._batch = [];
+
+            // Connection responses cache
+            if (this.cacheSize > 0) {
+                this.cache = new Cache({size: this.cacheSize, ttl: this.cacheTTL});
+            }
+        },
+
+        /**
+         * Get the key of a connection's response in the cache: responses
+         * depend on the connection ID (see getConnectionId()) and the cut
+         */
+        getCacheKey: function (conn, cut) {
+            return conn.id + '|' + cuts.key(cut);
+        },
+
+        /**
+         * Batch request API endpoint URL
+         */
+        batchUrl: function() {
+            return this.dataset.source.batchUrl(this.dataset);
+        },
+
+        /**
+         * Queue a connection fetch, to be sent with the other fetches issued
+         * in the same tick (see Connection.sync())
+         *
+         * Returns an object whose abort() method cancels the fetch: the
+         * request is only aborted once all the fetches it carries have been
+         * cancelled.
+         */
+        queueFetch: function (conn, options) {
+            var item = {
+                    connection: conn,
+                    url: _.result(conn, 'url'),
+                    options: options,
+                    aborted: false
+                };
+
+            item.abort = _.bind(function () {
+                item.aborted = true;
+                this._batch = _.without(this._batch, item);
+                if (item.xhr && _.every(item.batch, 'aborted')) {
+                    item.xhr.abort();
+                }
+            }, this);
+
+            this._batch.push(item);
+            if (this._batch.length === 1) {
+                _.defer(_.bind(this.sendBatch, this));
+            }
+
+            return item;
+        },
+
+        /**
+         * Send the queued connection fetches as a single request and hand each
+         * response back to its connection
+         */
+        sendBatch: function () {
+            var batch = this._batch,
+                xhr;
+            this._batch = [];
+
+            if (batch.length < 1) {
+                return;
+            }
+
+            if (batch.length === 1) {
+                // Nothing to merge
+                xhr = this.dataset.source.sync('read', batch[0].connection, batch[0].options);
+
+            } else {
+                xhr = this.dataset.source.sync('create', this, {
+                    url: this.batchUrl(),
+                    attrs: {queries: _.pluck(batch, 'url')},
+                    timeout: batch[0].options.timeout,
+                    success: function (resp) {
+                        _.each(batch, function (item, i) {
+                            if (!item.aborted) {
+                                item.options.success(resp[i]);
+                            }
+                        });
+                    },
+                    error: function (xhr) {
+                        _.each(batch, function (item) {
+                            if (!item.aborted) {
+                                item.options.error(xhr);
+                            }
+                        });
+                    }
+                });
+            }
+
+            _.each(batch, function (item) {
+                item.batch = batch;
+                item.xhr = xhr;
+            });
+            return xhr;
         },
 
         getConnection: function (opts) {
@@ -38,6 +168,7 @@ define(['backbone', 'underscore', '../models/dataset/connection', '../models/dat
 
         releaseConnection: function (conn) {
             if(--conn.usage === 0){
+                conn.abort();
                 this.remove(conn);
             }
         },
@@ -52,7 +183,8 @@ define(['backbone', 'underscore', '../models/dataset/connection', '../models/dat
 
                 case 'observations':
                     var dim = (_.isUndefined(opts.dimension)) ? 'NODIM' : opts.dimension,
-                        connId = opts.type + ':' + dim + ':' + opts.measure + ':' + opts.aggregation,
+                        measure = (_.isUndefined(opts.expression)) ? opts.measure + ':' + opts.aggregation : 'expression:' + opts.expression,
+                        connId = opts.type + ':' + dim + ':' + measure,
 
                         bucket = opts.bucket,
                         bucket_interval = opts.bucket_interval;
@@ -65,6 +197,20 @@ define(['backbone', 'underscore', '../models/dataset/connection', '../models/dat
                         connId += ':' + bucket;
                     }
 
+                    // Observations offset by a time interval
+                    if (!_.isUndefined(opts.offset_interval)) {
+                        connId += '<' + opts.offset_interval;
+                    }
+
+                    // Cross-tabulated observations
+                    if (!_.isUndefined(opts.column_dimension)) {
+                        connId += '|' + this.getConnectionId(_.extend(_.omit(opts, 'column_dimension'), {
+                            dimension: opts.column_dimension,
+                            bucket: opts.column_bucket,
+                            bucket_interval: opts.column_bucket_interval
+                        }));
+                    }
+
                     return connId;
 
                 default:
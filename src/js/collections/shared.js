@@ -17,7 +17,7 @@ define(['backbone', 'underscore', '../models/dataset/user'],
          * Shared users API endpoint URL
          */
         url: function() {
-            return '/api/datasets/' + this.dataset.get('id') + '/shared/';
+            return this.dataset.source.sharedUrl(this.dataset);
         },
 
         /**
@@ -25,7 +25,7 @@ define(['backbone', 'underscore', '../models/dataset/user'],
          */
         save: function(opts) {
             opts = opts || {};
-            return Backbone.sync('update', this, opts);
+            return this.dataset.source.sync('update', this, opts);
         },
 
         /**
@@ -19,6 +19,7 @@ define(['backbone', 'underscore', '../models/visualisation/style'],
             'scaleLabel':               '#2c3e50',
             'measureLabel':             '#2c3e50',
             'choroplethMin':            '#fff',
+            'choroplethMid':            '#888',
             'choroplethMax':            '#000',
             'choroplethStroke':         '#000',
             'choroplethStrokeWidth':    '1'
@@ -0,0 +1,81 @@
+define(['underscore'], function(_) {
+    'use strict';
+
+    /**
+     * Least recently used cache with a maximum number of entries and an
+     * optional time-to-live (in ms) for each entry
+     *
+     * Values are deep-copied in and out of the cache, so that they can't be
+     * modified while cached.
+     */
+    var Cache = function(options) {
+        options = options || {};
+        this.size = options.size || 100;
+        this.ttl = options.ttl || 0;
+        this.clear();
+    };
+
+    _.extend(Cache.prototype, {
+
+        /**
+         * Get a cached value. Returns undefined if the key isn't cached or
+         * the entry has expired.
+         */
+        get: function(key) {
+            if (!_.has(this._entries, key)) {
+                return;
+            }
+
+            var entry = this._entries[key];
+            if (this.ttl > 0 && _.now() - entry.time > this.ttl) {
+                this.remove(key);
+                return;
+            }
+
+            // Mark as most recently used
+            this._keys = _.without(this._keys, key);
+            this._keys.push(key);
+
+            return _.clone(entry.value, true);
+        },
+
+        /**
+         * Cache a value, evicting the least recently used entries if the cache
+         * is full
+         */
+        set: function(key, value) {
+            this.remove(key);
+            this._entries[key] = {
+                value: _.clone(value, true),
+                time: _.now()
+            };
+            this._keys.push(key);
+
+            while (this._keys.length > this.size) {
+                delete this._entries[this._keys.shift()];
+            }
+        },
+
+        /**
+         * Remove a cached value
+         */
+        remove: function(key) {
+            if (_.has(this._entries, key)) {
+                delete this._entries[key];
+                this._keys = _.without(this._keys, key);
+            }
+        },
+
+        /**
+         * Remove all cached values
+         */
+        clear: function() {
+            this._entries = {};
+            this._keys = [];
+        }
+
+    });
+
+    return Cache;
+
+});
@@ -0,0 +1,168 @@
+define(['underscore', 'd3'], function(_, d3) {
+    'use strict';
+
+    /**
+     * Classification of the values of choropleth charts (see
+     * ChoroplethChartView).
+     *
+     * Each method gets the breaks between the classes of a list of values:
+     * n classes have n + 1 ascending breaks, from the lowest value to the
+     * highest one. A class includes its lower break and excludes its upper
+     * one (except for the last class). Duplicate breaks are removed, so
+     * there may be fewer classes than requested.
+     */
+    var classification = {
+
+        // Classification methods, and their labels
+        methods: {
+            linear: 'Linear',
+            quantile: 'Quantiles',
+            quantize: 'Equal intervals',
+            jenks: 'Natural breaks (Jenks)',
+            log: 'Logarithmic',
+            diverging: 'Diverging'
+        },
+
+        /**
+         * Get the breaks of a list of values
+         *
+         * @param midpoint the value the "diverging" method is centred on
+         */
+        breaks: function(method, values, classes, midpoint) {
+            values = _.sortBy(_.filter(values, _.isFinite));
+            if (values.length < 1) {
+                return [];
+            }
+
+            var breaks;
+            switch (method) {
+                case 'linear':
+                case 'quantize':
+                    breaks = this.intervals(values[0], values[values.length - 1], classes);
+                    break;
+
+                case 'quantile':
+                    breaks = _.map(d3.range(classes + 1), function(i) {
+                        return d3.quantile(values, i / classes);
+                    });
+                    break;
+
+                case 'jenks':
+                    breaks = this.jenks(values, classes);
+                    break;
+
+                case 'log':
+                    breaks = this.logIntervals(values, classes);
+                    break;
+
+                case 'diverging':
+                    midpoint = midpoint || 0;
+                    var extent = Math.max(Math.abs(values[0] - midpoint), Math.abs(values[values.length - 1] - midpoint));
+                    breaks = this.intervals(midpoint - extent, midpoint + extent, classes);
+                    break;
+
+                default:
+                    throw new Error('Invalid classification: ' + method);
+            }
+
+            return _.uniq(breaks, true);
+        },
+
+        /**
+         * Get the breaks of equal intervals between two values
+         */
+        intervals: function(min, max, classes) {
+            return _.map(d3.range(classes + 1), function(i) {
+                return (i === classes) ? max : min + (max - min) * i / classes;
+            });
+        },
+
+        /**
+         * Get the breaks of intervals of equal ratios between the lowest
+         * positive value and the highest one (lower values fall in the first
+         * class). Values which aren't positive are split in equal intervals.
+         */
+        logIntervals: function(values, classes) {
+            var positive = _.filter(values, function(value) { return value > 0; }),
+                max = values[values.length - 1];
+
+            if (positive.length < 1) {
+                return this.intervals(values[0], max, classes);
+            }
+
+            var scale = d3.scale.log().domain([positive[0], max]),
+                breaks = _.map(this.intervals(0, 1, classes), scale.invert);
+
+            // Keep the exact bounds, instead of their rounded logarithms
+            breaks[0] = values[0];
+            breaks[classes] = max;
+            return breaks;
+        },
+
+        /**
+         * Get the breaks of the Jenks natural breaks, which minimise the
+         * variance within classes (values must be sorted)
+         */
+        jenks: function(values, classes) {
+            var n = values.length,
+                lower = [],
+                variance = [],
+                i, j, l, m;
+
+            classes = Math.min(classes, n);
+
+            // Matrices of the optimal lower limits (1-based indices of the
+            // values) and variances, by number of values and of classes
+            for (i = 0; i <= n; i++) {
+                lower.push(_.map(d3.range(classes + 1), _.constant(0)));
+                variance.push(_.map(d3.range(classes + 1), _.constant((i > 1) ? Infinity : 0)));
+            }
+            for (j = 1; j <= classes; j++) {
+                lower[1][j] = 1;
+            }
+
+            for (l = 2; l <= n; l++) {
+                var sum = 0,
+                    sumSquares = 0,
+                    classVariance = 0;
+
+                for (m = 1; m <= l; m++) {
+                    var limit = l - m + 1,
+                        value = values[limit - 1];
+
+                    sum += value;
+                    sumSquares += value * value;
+                    classVariance = sumSquares - (sum * sum) / m;
+
+                    if (limit > 1) {
+                        for (j = 2; j <= classes; j++) {
+                            if (variance[l][j] >= classVariance + variance[limit - 1][j - 1]) {
+                                lower[l][j] = limit;
+                                variance[l][j] = classVariance + variance[limit - 1][j - 1];
+                            }
+                        }
+                    }
+                }
+
+                lower[l][1] = 1;
+                variance[l][1] = classVariance;
+            }
+
+            // Walk the lower limits back from the last class
+            var breaks = [values[0]],
+                k = n;
+
+            for (j = classes; j > 1; j--) {
+                breaks[j - 1] = values[lower[k][j] - 1];
+                k = lower[k][j] - 1;
+            }
+            breaks[classes] = values[n - 1];
+
+            return breaks;
+        }
+
+    };
+
+    return classification;
+
+});
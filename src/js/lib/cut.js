@@ -0,0 +1,165 @@
+define(['underscore'], function(_) {
+    'use strict';
+
+    /**
+     * Helpers to handle dataset cut values.
+     *
+     * A cut value is either a list of the values to include or an object with
+     * a single operator property:
+     *  - {exclude: [values]}: every value except the listed ones
+     *  - {gt: value}: values greater than value
+     *  - {gte: value}: values greater than or equal to value
+     *  - {lt: value}: values less than value
+     *  - {between: [from, to]}: values from "from" (inclusive) to "to" (exclusive)
+     */
+    var cuts = {
+
+        operators: ['exclude', 'gt', 'gte', 'lt', 'between'],
+
+        /**
+         * Get the operator of a cut value ("in" for lists of values)
+         */
+        operator: function(value) {
+            if (_.isPlainObject(value)) {
+                var operator = _.keys(value)[0];
+                if (_.contains(this.operators, operator)) {
+                    return operator;
+                }
+            }
+            return 'in';
+        },
+
+        /**
+         * Normalise a cut value, wrapping single values in a list
+         */
+        normalise: function(value) {
+            switch (this.operator(value)) {
+                case 'in':
+                    return (_.isArray(value)) ? value : [value];
+                case 'exclude':
+                    return {exclude: [].concat(value.exclude)};
+                default:
+                    return value;
+            }
+        },
+
+        /**
+         * Get the list of values referred to by a cut value
+         */
+        values: function(value) {
+            var operator = this.operator(value);
+            value = this.normalise(value);
+            return (operator === 'in') ? value : [].concat(value[operator]);
+        },
+
+        /**
+         * Get a cut value with the same operator whose values are mapped by
+         * iterator
+         */
+        map: function(value, iterator, context) {
+            var operator = this.operator(value),
+                values = _.map(this.values(value), iterator, context);
+
+            if (operator === 'in') {
+                return values;
+            }
+            return _.object([operator], [(_.contains(['gt', 'gte', 'lt'], operator)) ? values[0] : values]);
+        },
+
+        /**
+         * Check whether a cut value selects the specified ID
+         */
+        matches: function(value, id) {
+            value = this.normalise(value);
+            switch (this.operator(value)) {
+                case 'exclude':
+                    return !_.contains(value.exclude, id);
+                case 'gt':
+                    return id > value.gt;
+                case 'gte':
+                    return id >= value.gte;
+                case 'lt':
+                    return id < value.lt;
+                case 'between':
+                    return id >= value.between[0] && id < value.between[1];
+                default:
+                    return _.contains(value, id);
+            }
+        },
+
+        /**
+         * Append a cut value to the current one: lists of values with the same
+         * operator are merged, otherwise the new value replaces the current one.
+         * A dimension has a single range at most (the API takes one bound or
+         * pair of bounds per dimension), so a range replaces the current one
+         * instead of being combined with it.
+         */
+        append: function(current, value) {
+            var operator = this.operator(value);
+            value = this.normalise(value);
+
+            if (_.isUndefined(current) || operator !== this.operator(current)) {
+                return value;
+            }
+
+            current = this.normalise(current);
+            if (operator === 'in') {
+                return current.concat(value);
+            } else if (operator === 'exclude') {
+                return {exclude: current.exclude.concat(value.exclude)};
+            }
+            return value;
+        },
+
+        /**
+         * Remove values from a cut value. Ranges can only be removed as a
+         * whole. Returns null if nothing is left of the cut value.
+         */
+        remove: function(current, values) {
+            var operator = this.operator(current);
+
+            if (operator === 'in' || operator === 'exclude') {
+                var remaining = _.difference(this.values(current), this.values(values));
+                if (remaining.length < 1) {
+                    return null;
+                }
+                return (operator === 'in') ? remaining : {exclude: remaining};
+            }
+
+            return (_.isEqual(current, this.normalise(values))) ? null : current;
+        },
+
+        /**
+         * Get a canonical string representation of a cut, independent of the
+         * order in which dimensions and values have been cut
+         */
+        key: function(cut) {
+            return JSON.stringify(_.map(_.keys(cut).sort(), function(dimension) {
+                var operator = this.operator(cut[dimension]),
+                    value = this.normalise(cut[dimension]);
+
+                if (operator === 'in') {
+                    value = _.clone(value).sort();
+                } else if (operator === 'exclude') {
+                    value = {exclude: _.clone(value.exclude).sort()};
+                }
+                return [dimension, value];
+            }, this));
+        },
+
+        /**
+         * Build the API query parameters for a cut on a dimension
+         */
+        params: function(dimension, value) {
+            var operator = this.operator(value);
+            if (operator === 'in') {
+                return _.object([dimension], [value]);
+            }
+            return _.object([dimension + '__' + operator], [this.values(value).join(',')]);
+        }
+
+    };
+
+    return cuts;
+
+});
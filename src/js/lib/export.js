@@ -0,0 +1,230 @@
+define(['underscore', 'jquery'], function(_, $) {
+    'use strict';
+
+    /**
+     * Helpers to export elements as images, entirely in the browser.
+     *
+     * Elements are serialised as standalone SVG documents with their
+     * computed styles inlined (HTML elements are wrapped in a
+     * foreignObject), which are then drawn on canvases.
+     */
+    var exporter = {
+
+        svgNS: 'http://www.w3.org/2000/svg',
+        xmlNS: 'http://www.w3.org/2000/xmlns/',
+        xLinkNS: 'http://www.w3.org/1999/xlink',
+
+        // Parts of the elements left out of the exports (e.g. buttons)
+        exclude: '.actions, .bottom-actions, .zoom-controls, .tipsy, .export-error',
+
+        /**
+         * Copy the computed styles of an element and of its descendants to
+         * a clone of it
+         */
+        inlineStyles: function(source, clone) {
+            var computed = window.getComputedStyle(source),
+                isElement = function(node) { return node.nodeType === 1; },
+                clones = _.filter(clone.childNodes, isElement);
+
+            clone.setAttribute('style', _.map(_.range(computed.length), function(i) {
+                return computed[i] + ':' + computed.getPropertyValue(computed[i]);
+            }).join(';'));
+
+            _.each(_.filter(source.childNodes, isElement), function(child, i) {
+                this.inlineStyles(child, clones[i]);
+            }, this);
+        },
+
+        /**
+         * Serialise an element as a standalone SVG document of the specified
+         * size
+         */
+        serialise: function(node, width, height) {
+            var clone = node.cloneNode(true),
+                svg;
+
+            this.inlineStyles(node, clone);
+            $(clone).find(this.exclude).remove();
+
+            if (node.namespaceURI === this.svgNS) {
+                svg = clone;
+            } else {
+                // Keep the element in the document's flow (e.g. grid elements
+                // are absolutely positioned)
+                $(clone).css({position: 'static', margin: 0});
+
+                var object = document.createElementNS(this.svgNS, 'foreignObject');
+                object.setAttribute('width', '100%');
+                object.setAttribute('height', '100%');
+                object.appendChild(clone);
+
+                svg = document.createElementNS(this.svgNS, 'svg');
+                svg.appendChild(object);
+            }
+
+            svg.setAttribute('width', width);
+            svg.setAttribute('height', height);
+
+            // Set XML namespaces
+            if (!svg.hasAttributeNS(this.xmlNS, 'xmlns')) {
+                svg.setAttributeNS(this.xmlNS, 'xmlns', this.svgNS);
+            }
+            if (!svg.hasAttributeNS(this.xmlNS, 'xmlns:xlink')) {
+                svg.setAttributeNS(this.xmlNS, 'xmlns:xlink', this.xLinkNS);
+            }
+
+            return (new XMLSerializer()).serializeToString(svg);
+        },
+
+        /**
+         * Create a canvas for an image of the specified size (in CSS
+         * pixels), scaled and filled with the background colour, if any
+         *
+         * @param options {scale, background}
+         */
+        canvas: function(width, height, options) {
+            var canvas = document.createElement('canvas'),
+                context;
+
+            options = _.defaults({}, options, {scale: 1, background: null});
+            canvas.width = Math.ceil(width * options.scale);
+            canvas.height = Math.ceil(height * options.scale);
+
+            context = canvas.getContext('2d');
+            context.scale(options.scale, options.scale);
+            if (options.background) {
+                context.fillStyle = options.background;
+                context.fillRect(0, 0, width, height);
+            }
+
+            return canvas;
+        },
+
+        /**
+         * Draw an element on a canvas. Returns a promise of the canvas, which
+         * is rejected with an error if the element can't be drawn.
+         *
+         * @param options see canvas()
+         */
+        rasterise: function(node, options) {
+            var rect = node.getBoundingClientRect(),
+                width = Math.ceil(rect.width),
+                height = Math.ceil(rect.height),
+                deferred = $.Deferred(),
+                image = new Image();
+
+            image.onload = _.bind(function() {
+                var canvas = this.canvas(width, height, options),
+                    context = canvas.getContext('2d');
+
+                // Reading the canvas throws an error if the browser considers
+                // it tainted by the image (e.g. HTML in a foreignObject)
+                try {
+                    context.drawImage(image, 0, 0, width, height);
+                    context.getImageData(0, 0, 1, 1);
+                } catch (e) {
+                    deferred.reject(e);
+                    return;
+                }
+                deferred.resolve(canvas);
+            }, this);
+
+            image.onerror = function() {
+                deferred.reject(new Error('The element can\'t be rasterised'));
+            };
+
+            try {
+                image.src = 'data:image/svg+xml;charset=utf-8,' + encodeURIComponent(this.serialise(node, width, height));
+            } catch (e) {
+                deferred.reject(e);
+            }
+            return deferred.promise();
+        },
+
+        /**
+         * Compose rasterised elements ({canvas, x, y, width, height} objects,
+         * in CSS pixels) into a canvas of the specified size
+         *
+         * @param options see canvas()
+         */
+        compose: function(items, width, height, options) {
+            var canvas = this.canvas(width, height, options),
+                context = canvas.getContext('2d');
+
+            _.each(items, function(item) {
+                context.drawImage(item.canvas, item.x, item.y, item.width, item.height);
+            });
+            return canvas;
+        },
+
+        /**
+         * Get a horizontal slice of a canvas (in canvas pixels)
+         */
+        crop: function(canvas, top, height) {
+            var slice = document.createElement('canvas');
+            slice.width = canvas.width;
+            slice.height = height;
+            slice.getContext('2d').drawImage(canvas, 0, top, canvas.width, height, 0, 0, canvas.width, height);
+            return slice;
+        },
+
+        /**
+         * Split a page of the specified height into pages no higher than
+         * pageHeight, breaking them between boxes ({y, height} objects, e.g.
+         * the elements of a dashboard) where possible. Returns a list of
+         * [top, bottom] pairs.
+         */
+        pageBreaks: function(boxes, height, pageHeight) {
+            var pages = [],
+                top = 0,
+                clean = _.filter(_.pluck(boxes, 'y'), function(y) {
+                    return !_.some(boxes, function(box) {
+                        return box.y < y && box.y + box.height > y;
+                    });
+                });
+
+            while (top + pageHeight < height) {
+                var limit = top + pageHeight,
+                    breaks = _.filter(clean, _.partial(this.between, top, limit)),
+                    bottom = (breaks.length > 0) ? _.max(breaks) : limit;
+
+                pages.push([top, bottom]);
+                top = bottom;
+            }
+
+            pages.push([top, height]);
+            return pages;
+        },
+
+        /**
+         * Whether a value is within (min, max]
+         */
+        between: function(min, max, value) {
+            return value > min && value <= max;
+        },
+
+        /**
+         * Get the bytes of a canvas' image (e.g. "image/png" or "image/jpeg")
+         */
+        bytes: function(canvas, type, quality) {
+            var data = window.atob(canvas.toDataURL(type, quality).split(',')[1]),
+                bytes = new Uint8Array(data.length);
+
+            for (var i = 0; i < data.length; i++) {
+                bytes[i] = data.charCodeAt(i);
+            }
+            return bytes;
+        },
+
+        /**
+         * Get a canvas' image as a Blob
+         */
+        blob: function(canvas, type, quality) {
+            return new Blob([this.bytes(canvas, type, quality)], {type: type});
+        }
+
+    };
+
+    return exporter;
+
+});
@@ -0,0 +1,221 @@
+define(['underscore'], function(_) {
+    'use strict';
+
+    /**
+     * Parser for calculated measure expressions, e.g.
+     *
+     *     sum(deaths) / sum(population) * 100000
+     *
+     * Expressions combine numbers and measure aggregations (see
+     * DynamicElement.aggregationTypes, and rows() for the rows count) with
+     * the +, -, * and / operators and parentheses. Field IDs which aren't
+     * plain identifiers can be quoted, e.g. sum("deaths-2014").
+     *
+     * Expressions are parsed into a tree of nodes:
+     *  - {type: 'number', value: n}
+     *  - {type: 'aggregation', aggregation: name, measure: fieldId}
+     *  - {type: 'unary', operator: op, operand: node}
+     *  - {type: 'binary', operator: op, left: node, right: node}
+     */
+    var expression = {
+
+        aggregations: ['sum', 'mean', 'min', 'max', 'count_distinct', 'median', 'variance', 'stddev'],
+
+        _token: /\s*(?:(\d+(?:\.\d*)?(?:[eE][+\-]?\d+)?|\.\d+(?:[eE][+\-]?\d+)?)|([A-Za-z_]\w*)|"((?:[^"\\]|\\.)*)"|([+\-*\/()]))/g,
+
+        /**
+         * Split an expression into tokens
+         */
+        tokenize: function(text) {
+            var tokens = [],
+                re = new RegExp(this._token.source, 'g'),
+                index = 0,
+                match;
+
+            while (index < text.length && !(/^\s*$/).test(text.slice(index))) {
+                re.lastIndex = index;
+                match = re.exec(text);
+                if (!match || match.index !== index) {
+                    throw new Error('Invalid expression: unexpected character at ' + index);
+                }
+                index = re.lastIndex;
+
+                if (!_.isUndefined(match[1])) {
+                    tokens.push({type: 'number', value: parseFloat(match[1])});
+                } else if (!_.isUndefined(match[2])) {
+                    tokens.push({type: 'name', value: match[2]});
+                } else if (!_.isUndefined(match[3])) {
+                    tokens.push({type: 'string', value: match[3].replace(/\\(.)/g, '$1')});
+                } else {
+                    tokens.push({type: 'operator', value: match[4]});
+                }
+            }
+
+            return tokens;
+        },
+
+        /**
+         * Parse an expression. Throws an error if the expression is invalid.
+         */
+        parse: function(text) {
+            var tokens = this.tokenize(String(text)),
+                position = 0,
+                aggregations = this.aggregations,
+                peek, accept, expect, parseExpression, parseTerm, parseFactor, node;
+
+            peek = function(value) {
+                var token = tokens[position];
+                return (token && token.type === 'operator' && token.value === value);
+            };
+
+            accept = function(value) {
+                if (peek(value)) {
+                    position++;
+                    return true;
+                }
+                return false;
+            };
+
+            expect = function(value) {
+                if (!accept(value)) {
+                    throw new Error('Invalid expression: expected "' + value + '"');
+                }
+            };
+
+            // expression := term (("+" | "-") term)*
+            parseExpression = function() {
+                var node = parseTerm();
+                while (peek('+') || peek('-')) {
+                    node = {type: 'binary', operator: tokens[position++].value, left: node, right: parseTerm()};
+                }
+                return node;
+            };
+
+            // term := factor (("*" | "/") factor)*
+            parseTerm = function() {
+                var node = parseFactor();
+                while (peek('*') || peek('/')) {
+                    node = {type: 'binary', operator: tokens[position++].value, left: node, right: parseFactor()};
+                }
+                return node;
+            };
+
+            // factor := ("+" | "-") factor | number | name "(" [field] ")" | "(" expression ")"
+            parseFactor = function() {
+                var token = tokens[position],
+                    node;
+
+                if (peek('+') || peek('-')) {
+                    position++;
+                    return {type: 'unary', operator: token.value, operand: parseFactor()};
+                }
+
+                if (accept('(')) {
+                    node = parseExpression();
+                    expect(')');
+                    return node;
+                }
+
+                if (token && token.type === 'number') {
+                    position++;
+                    return {type: 'number', value: token.value};
+                }
+
+                if (token && token.type === 'name') {
+                    position++;
+                    expect('(');
+
+                    if (token.value === 'rows') {
+                        expect(')');
+                        return {type: 'aggregation', aggregation: 'rows', measure: null};
+                    }
+
+                    if (!_.contains(aggregations, token.value)) {
+                        throw new Error('Invalid expression: unknown aggregation "' + token.value + '"');
+                    }
+
+                    var field = tokens[position++];
+                    if (!field || (field.type !== 'name' && field.type !== 'string')) {
+                        throw new Error('Invalid expression: expected a field for "' + token.value + '"');
+                    }
+                    expect(')');
+                    return {type: 'aggregation', aggregation: token.value, measure: field.value};
+                }
+
+                throw new Error('Invalid expression: unexpected end of expression');
+            };
+
+            node = parseExpression();
+            if (position < tokens.length) {
+                throw new Error('Invalid expression: unexpected "' + tokens[position].value + '"');
+            }
+            return node;
+        },
+
+        /**
+         * Get the list of distinct measure aggregations used by a parsed
+         * expression, as {aggregation, measure} objects
+         */
+        terms: function(node) {
+            var terms = [],
+                visit = function(node) {
+                    switch (node.type) {
+                        case 'aggregation':
+                            if (!_.findWhere(terms, {aggregation: node.aggregation, measure: node.measure})) {
+                                terms.push({aggregation: node.aggregation, measure: node.measure});
+                            }
+                            break;
+                        case 'unary':
+                            visit(node.operand);
+                            break;
+                        case 'binary':
+                            visit(node.left);
+                            visit(node.right);
+                            break;
+                    }
+                };
+
+            visit(node);
+            return terms;
+        },
+
+        /**
+         * Evaluate a parsed expression. The value of each aggregation is
+         * given by lookup(aggregation, measure). Returns null if the result
+         * isn't a finite number (e.g. on division by zero).
+         */
+        evaluate: function(node, lookup) {
+            var visit = function(node) {
+                    switch (node.type) {
+                        case 'number':
+                            return node.value;
+                        case 'aggregation':
+                            return Number(lookup(node.aggregation, node.measure)) || 0;
+                        case 'unary':
+                            return (node.operator === '-') ? -visit(node.operand) : visit(node.operand);
+                    }
+
+                    var left = visit(node.left),
+                        right = visit(node.right);
+
+                    switch (node.operator) {
+                        case '+':
+                            return left + right;
+                        case '-':
+                            return left - right;
+                        case '*':
+                            return left * right;
+                        default:
+                            return left / right;
+                    }
+                },
+                value = visit(node);
+
+            return (_.isFinite(value)) ? value : null;
+        }
+
+    };
+
+    return expression;
+
+});
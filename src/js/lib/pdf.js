@@ -0,0 +1,92 @@
+define(['underscore'], function(_) {
+    'use strict';
+
+    /**
+     * Minimal PDF writer, building documents whose pages each show a JPEG
+     * image (see lib/export).
+     *
+     * A page is a {jpeg, width, height, pageWidth, pageHeight} object: the
+     * JPEG's bytes (a Uint8Array) and size in pixels, and the size of the
+     * page in points.
+     */
+    var pdf = {
+
+        // A4 page size, in points
+        a4Width: 595.28,
+        a4Height: 841.89,
+
+        /**
+         * Build a document, as a list of parts (ASCII strings and
+         * Uint8Arrays)
+         */
+        parts: function(pages) {
+            var parts = [],
+                offsets = [],
+                length = 0,
+                add = function(part) {
+                    parts.push(part);
+                    length += part.length;
+                },
+                object = function(id, content) {
+                    offsets[id] = length;
+                    add(id + ' 0 obj\n' + content + '\nendobj\n');
+                },
+                num = 2 + pages.length * 3;
+
+            // Header (with a binary comment, so that the file is handled as
+            // binary)
+            add('%PDF-1.4\n');
+            add(new Uint8Array([37, 226, 227, 207, 211, 10]));
+
+            object(1, '<< /Type /Catalog /Pages 2 0 R >>');
+            object(2, '<< /Type /Pages /Kids [' + _.map(pages, function(page, i) {
+                return (3 + i * 3) + ' 0 R';
+            }).join(' ') + '] /Count ' + pages.length + ' >>');
+
+            // Each page has a page object, a content stream drawing the image
+            // over the whole page and an image object
+            _.each(pages, function(page, i) {
+                var id = 3 + i * 3,
+                    size = this.number(page.pageWidth) + ' ' + this.number(page.pageHeight),
+                    content = 'q ' + this.number(page.pageWidth) + ' 0 0 ' + this.number(page.pageHeight) + ' 0 0 cm /Im0 Do Q';
+
+                object(id, '<< /Type /Page /Parent 2 0 R /MediaBox [0 0 ' + size + '] ' +
+                    '/Resources << /XObject << /Im0 ' + (id + 2) + ' 0 R >> >> /Contents ' + (id + 1) + ' 0 R >>');
+                object(id + 1, '<< /Length ' + content.length + ' >>\nstream\n' + content + '\nendstream');
+
+                offsets[id + 2] = length;
+                add((id + 2) + ' 0 obj\n<< /Type /XObject /Subtype /Image /Width ' + page.width + ' /Height ' + page.height +
+                    ' /ColorSpace /DeviceRGB /BitsPerComponent 8 /Filter /DCTDecode /Length ' + page.jpeg.length + ' >>\nstream\n');
+                add(page.jpeg);
+                add('\nendstream\nendobj\n');
+            }, this);
+
+            // Cross-reference table and trailer
+            var xref = length;
+            add('xref\n0 ' + (num + 1) + '\n0000000000 65535 f \n' + _.map(offsets.slice(1), function(offset) {
+                return ('0000000000' + offset).slice(-10) + ' 00000 n \n';
+            }).join(''));
+            add('trailer\n<< /Size ' + (num + 1) + ' /Root 1 0 R >>\nstartxref\n' + xref + '\n%%EOF\n');
+
+            return parts;
+        },
+
+        /**
+         * Build a document as a Blob
+         */
+        blob: function(pages) {
+            return new Blob(this.parts(pages), {type: 'application/pdf'});
+        },
+
+        /**
+         * Format a number for a PDF document
+         */
+        number: function(value) {
+            return String(Math.round(value * 100) / 100);
+        }
+
+    };
+
+    return pdf;
+
+});
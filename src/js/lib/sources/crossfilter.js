@@ -0,0 +1,443 @@
+define(['jquery', 'underscore', 'd3', 'crossfilter', '../cut', './rest'],
+    function($, _, d3, crossfilter, cuts, RestSource) {
+    'use strict';
+
+    /**
+     * In-browser data source for small datasets: a CSV or JSON file (or an
+     * array of rows) is loaded once and the observations and dimension
+     * values are computed with crossfilter, in the same shape as the API
+     * responses.
+     *
+     * Options:
+     *  - url: CSV or JSON file URL (or data: array of row objects)
+     *  - format: "csv" or "json" (guessed from the URL by default)
+     *  - fields: list of {id, label, type} objects (guessed from the data by
+     *    default)
+     *  - dataset: extra dataset attributes (e.g. label)
+     *  - visualisation: visualisation attributes (elements, styles)
+     *
+     * String and geo values are identified by their index in the field's
+     * dimension values, dates by their timestamp (ms).
+     */
+    var CrossfilterSource = RestSource.extend({
+
+        constructor: function(options) {
+            RestSource.call(this, options);
+            this.options = options || {};
+        },
+
+        batchUrl: function() {
+            return null;
+        },
+
+        /**
+         * Answer reads from the loaded data
+         */
+        sync: function(method, model, options) {
+            if (method !== 'read') {
+                throw new Error('Crossfilter data sources are read-only');
+            }
+
+            var aborted = false,
+                xhr = $.Deferred();
+
+            // Always answer asynchronously, like the other data sources
+            _.defer(_.bind(function() {
+                this.load().then(_.bind(function() {
+                    var resp;
+                    try {
+                        resp = this.read(model);
+                    } catch (e) {
+                        return $.Deferred().reject(this.error(e));
+                    }
+
+                    if (!aborted) {
+                        options.success(resp);
+                    }
+                    xhr.resolve();
+                }, this)).fail(function(error) {
+                    if (!aborted) {
+                        options.error(error);
+                    }
+                    xhr.reject(error);
+                });
+            }, this));
+
+            return xhr.promise({
+                abort: function() {
+                    aborted = true;
+                }
+            });
+        },
+
+        /**
+         * Get an XHR-like error object (without status, so that the
+         * connection doesn't retry) for an error thrown while parsing or
+         * reading the data
+         */
+        error: function(e) {
+            return {status: null, statusText: e.message};
+        },
+
+        /**
+         * Build the response for a model
+         */
+        read: function(model) {
+            if (_.isFunction(model.getParams)) {
+                return this.query(model.get('type'), model.get('dimension'), _.extend({}, model.attributes, {cut: model.getCut()}));
+            } else if (model.pool) {
+                return _.extend({label: model.get('id')}, this.options.dataset, {
+                    id: model.get('id'),
+                    fields: this.fields
+                });
+            }
+            return _.extend({}, this.options.visualisation, {id: model.get('id')});
+        },
+
+        /**
+         * Load, parse and index the data (once). Returns a promise, rejected
+         * with an XHR-like error if the data can't be loaded (a failed
+         * request is tried again on the next load).
+         */
+        load: function() {
+            if (!this._loaded) {
+                var options = this.options,
+                    request;
+
+                if (options.data) {
+                    request = $.Deferred().resolve(options.data);
+                } else {
+                    request = $.ajax({url: this.baseUrl + options.url, dataType: 'text'}).then(_.bind(function(text) {
+                        var format = options.format || (/\.csv(\?|$)/i.test(options.url) ? 'csv' : 'json');
+                        try {
+                            return (format === 'csv') ? d3.csv.parse(text) : JSON.parse(text);
+                        } catch (e) {
+                            return $.Deferred().reject(this.error(e));
+                        }
+                    }, this), _.bind(function(xhr) {
+                        this._loaded = null;
+                        return xhr;
+                    }, this));
+                }
+
+                this._loaded = request.then(_.bind(function(rows) {
+                    try {
+                        this.index(rows);
+                    } catch (e) {
+                        return $.Deferred().reject(this.error(e));
+                    }
+                }, this));
+            }
+            return this._loaded;
+        },
+
+        /**
+         * Convert the rows values and create the crossfilter
+         */
+        index: function(rows) {
+            this.fields = this.options.fields || this.guessFields(rows);
+            this.labels = {};
+
+            var fields = _.map(this.fields, function(field) {
+                var parse = this.parsers[field.type] || this.parsers.string;
+                if (parse === this.parsers.string) {
+                    this.labels[field.id] = [];
+                }
+                return [field.id, _.bind(parse, this, field.id)];
+            }, this);
+
+            this.crossfilter = crossfilter(_.map(rows, function(row) {
+                return _.object(_.map(fields, function(field) {
+                    return [field[0], field[1](row[field[0]])];
+                }));
+            }));
+            this.dimensions = {};
+        },
+
+        // Convert raw values by field type
+        parsers: {
+            date: function(field, value) {
+                var time = (_.isNumber(value)) ? value : Date.parse(value);
+                return (_.isNaN(time)) ? null : time;
+            },
+            integer: function(field, value) {
+                return this.parsers.float(field, value);
+            },
+            float: function(field, value) {
+                var n = (value === '' || _.isNull(value)) ? NaN : Number(value);
+                return (_.isNaN(n)) ? null : n;
+            },
+            string: function(field, value) {
+                var labels = this.labels[field],
+                    id = _.indexOf(labels, value);
+                if (id < 0) {
+                    id = labels.push(value) - 1;
+                }
+                return id;
+            }
+        },
+
+        /**
+         * Guess the fields IDs and types from the data
+         */
+        guessFields: function(rows) {
+            return _.map(_.keys(rows[0] || {}), function(id) {
+                var values = _.reject(_.pluck(rows, id), function(value) {
+                        return _.isNull(value) || _.isUndefined(value) || value === '';
+                    }),
+                    type = 'string';
+
+                if (values.length > 0) {
+                    if (_.every(values, function(value) { return !_.isNaN(Number(value)); })) {
+                        type = (_.every(values, function(value) { return Number(value) % 1 === 0; })) ? 'integer' : 'float';
+                    } else if (_.every(values, function(value) { return (/^\d{4}-\d{2}-\d{2}/).test(value) && !_.isNaN(Date.parse(value)); })) {
+                        type = 'date';
+                    }
+                }
+
+                return {id: id, label: id, type: type};
+            });
+        },
+
+        // Bucketing functions for date intervals
+        dateIntervals: {
+            date_year: d3.time.year.utc,
+            date_quarter: {
+                floor: function(date) {
+                    date = d3.time.month.utc.floor(date);
+                    date.setUTCMonth(date.getUTCMonth() - date.getUTCMonth() % 3);
+                    return date;
+                }
+            },
+            date_month: d3.time.month.utc,
+            date_week: d3.time.monday.utc,
+            date_day: d3.time.day.utc,
+            date_hour: d3.time.hour.utc,
+            date_minute: d3.time.minute.utc,
+            date_second: d3.time.second.utc
+        },
+
+        /**
+         * Get the function mapping a field value to its observation ID
+         */
+        bucketFunction: function(bucket, bucketInterval) {
+            if (_.has(this.dateIntervals, bucketInterval)) {
+                var interval = this.dateIntervals[bucketInterval];
+                return function(time) {
+                    return (_.isNull(time)) ? null : interval.floor(new Date(time)).getTime();
+                };
+            } else if (!_.isUndefined(bucket) && !_.isNull(bucket)) {
+                return function(n) {
+                    return (_.isNull(n)) ? null : Math.floor(n / bucket) * bucket;
+                };
+            }
+            return _.identity;
+        },
+
+        /**
+         * Get (or create) the crossfilter dimension of a field
+         */
+        getDimension: function(field) {
+            if (!_.has(this.dimensions, field)) {
+                this.dimensions[field] = this.crossfilter.dimension(function(row) {
+                    return row[field];
+                });
+            }
+            return this.dimensions[field];
+        },
+
+        /**
+         * Filter the crossfilter dimensions by the cut
+         */
+        filter: function(cut) {
+            _.each(_.keys(cut), this.getDimension, this);
+            _.each(this.dimensions, function(dimension, field) {
+                if (!_.has(cut, field)) {
+                    dimension.filterAll();
+                    return;
+                }
+
+                var value = cuts.normalise(cut[field]),
+                    operator = cuts.operator(value);
+
+                // Lists of IDs may hold numbers or strings
+                if (operator === 'in' || operator === 'exclude') {
+                    var ids = _.map(cuts.values(value), String);
+                    dimension.filterFunction(function(id) {
+                        return _.contains(ids, String(id)) === (operator === 'in');
+                    });
+                } else {
+                    dimension.filterFunction(function(id) {
+                        return !_.isNull(id) && cuts.matches(value, id);
+                    });
+                }
+            });
+        },
+
+        /**
+         * Reduce functions collecting the rows count and the (non-null)
+         * measure values
+         */
+        reducer: function(measure) {
+            return {
+                add: function(p, row) {
+                    p.count++;
+                    if (measure && !_.isNull(row[measure])) {
+                        p.values.push(row[measure]);
+                    }
+                    return p;
+                },
+                remove: function(p, row) {
+                    p.count--;
+                    if (measure && !_.isNull(row[measure])) {
+                        p.values.splice(_.indexOf(p.values, row[measure]), 1);
+                    }
+                    return p;
+                },
+                initial: function() {
+                    return {count: 0, values: []};
+                }
+            };
+        },
+
+        // Measure aggregations (variance and standard deviation are those of
+        // a sample)
+        aggregations: {
+            sum: d3.sum,
+            mean: d3.mean,
+            min: d3.min,
+            max: d3.max,
+            median: d3.median,
+            variance: d3.variance,
+            stddev: d3.deviation,
+            count_distinct: function(values) {
+                return _.uniq(values).length;
+            }
+        },
+
+        /**
+         * Get the aggregated value, or null if it's undefined (e.g. the mean
+         * of rows without measure values)
+         */
+        aggregate: function(p, measure, aggregation) {
+            if (!measure || !_.has(this.aggregations, aggregation)) {
+                return p.count;
+            }
+            var value = this.aggregations[aggregation](p.values);
+            return (_.isUndefined(value) || _.isNaN(value)) ? null : value;
+        },
+
+        /**
+         * Reduce functions collecting the values of each column (see
+         * reducer()) for cross-tabulated observations
+         */
+        crossTabReducer: function(reducer, params) {
+            var column = params.column_dimension,
+                key = this.bucketFunction(params.column_bucket, params.column_bucket_interval);
+
+            return {
+                add: function(p, row) {
+                    var id = key(row[column]);
+                    if (!_.isNull(id)) {
+                        p[id] = reducer.add(p[id] || reducer.initial(), row);
+                    }
+                    return p;
+                },
+                remove: function(p, row) {
+                    var id = key(row[column]);
+                    if (!_.isNull(id)) {
+                        p[id] = reducer.remove(p[id], row);
+                    }
+                    return p;
+                },
+                initial: function() {
+                    return {};
+                }
+            };
+        },
+
+        /**
+         * Get the aggregated values of a row of cross-tabulated observations
+         */
+        crossTabCells: function(columns, measure, aggregation) {
+            return _.chain(columns)
+                .pairs()
+                .filter(function(pair) {
+                    return pair[1].count > 0;
+                })
+                .map(function(pair) {
+                    return {id: Number(pair[0]), total: this.aggregate(pair[1], measure, aggregation)};
+                }, this)
+                .sortBy('id')
+                .value();
+        },
+
+        /**
+         * Compute the observations (or dimension values) of a connection
+         */
+        query: function(type, field, params) {
+            var measure = params.measure,
+                aggregation = params.aggregation,
+                reducer = this.reducer(measure),
+                response = {},
+                group;
+
+            // Dimension values
+            if (type === 'dimensions') {
+                response[field] = _.map(this.labels[field], function(label, id) {
+                    return {id: id, label: label};
+                });
+                return response;
+            }
+
+            // Crossfilter groups ignore the filter on their own dimension
+            // (cross-tabulated observations also ignore the cut on their
+            // column dimension)
+            this.filter(_.omit(params.cut || {}, params.column_dimension));
+
+            if (_.isUndefined(field)) {
+                group = this.crossfilter.groupAll().reduce(reducer.add, reducer.remove, reducer.initial);
+                response.total = this.aggregate(group.value(), measure, aggregation);
+
+            } else if (_.isUndefined(params.column_dimension)) {
+                group = this.getDimension(field)
+                    .group(this.bucketFunction(params.bucket, params.bucket_interval))
+                    .reduce(reducer.add, reducer.remove, reducer.initial);
+
+                response[field] = _.chain(group.all())
+                    .filter(function(d) {
+                        return !_.isNull(d.key) && d.value.count > 0;
+                    })
+                    .map(function(d) {
+                        return {id: d.key, total: this.aggregate(d.value, measure, aggregation)};
+                    }, this)
+                    .value();
+
+            } else {
+                reducer = this.crossTabReducer(reducer, params);
+                group = this.getDimension(field)
+                    .group(this.bucketFunction(params.bucket, params.bucket_interval))
+                    .reduce(reducer.add, reducer.remove, reducer.initial);
+
+                response[field] = _.chain(group.all())
+                    .filter(function(d) {
+                        return !_.isNull(d.key);
+                    })
+                    .map(function(d) {
+                        return _.object([['id', d.key], [params.column_dimension, this.crossTabCells(d.value, measure, aggregation)]]);
+                    }, this)
+                    .filter(function(row) {
+                        return row[params.column_dimension].length > 0;
+                    })
+                    .value();
+            }
+
+            group.dispose();
+            return response;
+        }
+
+    });
+
+    return CrossfilterSource;
+
+});
@@ -0,0 +1,25 @@
+define(['module', 'underscore', './rest', './static', './crossfilter'],
+    function(module, _, RestSource, StaticSource, CrossfilterSource) {
+    'use strict';
+
+    /**
+     * Default data source, used by the datasets created without one
+     *
+     * Configured with the module's TYPE ("rest", "static" or "crossfilter") and OPTIONS
+     * (passed to the data source constructor)
+     */
+    var types = {
+            'rest': RestSource,
+            'static': StaticSource,
+            'crossfilter': CrossfilterSource
+        },
+        config = module.config(),
+        type = config.TYPE || 'rest';
+
+    if (!_.has(types, type)) {
+        throw new Error('Unknown data source type: ' + type);
+    }
+
+    return new types[type](config.OPTIONS);
+
+});
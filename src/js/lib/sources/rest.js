@@ -0,0 +1,100 @@
+define(['backbone', 'underscore'], function(Backbone, _) {
+    'use strict';
+
+    /**
+     * Data source adapter for the Dataseed REST API
+     *
+     * Models delegate to their dataset's data source to build their URLs and
+     * to fetch and save their data. Other back-ends can be supported by
+     * extending this class (see StaticSource) and overriding:
+     *
+     *  - the *Url() methods, which return the path of a resource
+     *  - batchUrl(), which returns null if the back-end can't merge
+     *    connection fetches into batch requests
+     *  - sync(), which has the same signature as Backbone.sync
+     */
+    var RestSource = function(options) {
+        options = options || {};
+        this.baseUrl = options.baseUrl || '';
+    };
+
+    _.extend(RestSource.prototype, {
+
+        /**
+         * Dataset path
+         */
+        datasetUrl: function(dataset) {
+            return '/api/datasets/' + dataset.get('id');
+        },
+
+        /**
+         * Visualisation path
+         */
+        visualisationUrl: function(visualisation) {
+            return this.datasetUrl(visualisation.dataset) + '/visualisations/' + visualisation.get('id');
+        },
+
+        /**
+         * Visualisation element path (or elements path for new elements)
+         */
+        elementUrl: function(element) {
+            var url = this.visualisationUrl(element.visualisation) + '/elements';
+            if (element.get('id')) {
+                url += '/' + element.get('id');
+            }
+            return url;
+        },
+
+        /**
+         * Visualisation style path
+         */
+        styleUrl: function(style) {
+            return this.visualisationUrl(style.visualisation) + '/styles/' + style.get('id');
+        },
+
+        /**
+         * Shared users path
+         */
+        sharedUrl: function(dataset) {
+            return this.datasetUrl(dataset) + '/shared/';
+        },
+
+        /**
+         * Connection (observations or dimensions) path, including the query
+         * parameters (see Connection.getParams())
+         */
+        connectionUrl: function(conn) {
+            var url = this.datasetUrl(conn.dataset) + '/' + conn.get('type') + '/';
+            if (!_.isUndefined(conn.get('dimension'))) {
+                url += conn.get('dimension');
+            }
+
+            return url + '?' + _.map(conn.getParams(), function(value, key) {
+                return key + '=' + value;
+            }).join('&');
+        },
+
+        /**
+         * Batch request path, or null if batch requests aren't supported
+         */
+        batchUrl: function(dataset) {
+            return this.datasetUrl(dataset) + '/batch/';
+        },
+
+        /**
+         * Fetch or save a model, using the API at the base URL
+         */
+        sync: function(method, model, options) {
+            options = options || {};
+            options.url = this.baseUrl + (options.url || _.result(model, 'url'));
+            return Backbone.sync(method, model, options);
+        }
+
+    });
+
+    // Backbone-style inheritance
+    RestSource.extend = Backbone.Model.extend;
+
+    return RestSource;
+
+});
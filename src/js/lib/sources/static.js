@@ -0,0 +1,65 @@
+define(['underscore', './rest'], function(_, RestSource) {
+    'use strict';
+
+    /**
+     * Data source adapter for static JSON files (e.g. an export of the API
+     * responses), laid out under the base URL as:
+     *
+     *  - <dataset id>.json
+     *  - <dataset id>/visualisations/<visualisation id>.json
+     *  - <dataset id>/<connection type>/[<dimension>/]<query>.json
+     *
+     * where <query> is the connection's query string, with its parameters
+     * sorted by name, URI-encoded. Static data sources are read-only and
+     * don't support batch requests.
+     */
+    var StaticSource = RestSource.extend({
+
+        // File name extension
+        extension: '.json',
+
+        constructor: function(options) {
+            RestSource.call(this, options);
+            if (options && !_.isUndefined(options.extension)) {
+                this.extension = options.extension;
+            }
+        },
+
+        datasetUrl: function(dataset) {
+            return '/' + dataset.get('id');
+        },
+
+        connectionUrl: function(conn) {
+            var params = conn.getParams(),
+                url = this.datasetUrl(conn.dataset) + '/' + conn.get('type') + '/';
+
+            if (!_.isUndefined(conn.get('dimension'))) {
+                url += conn.get('dimension') + '/';
+            }
+
+            return url + encodeURIComponent(_.map(_.keys(params).sort(), function(key) {
+                return key + '=' + params[key];
+            }).join('&'));
+        },
+
+        batchUrl: function() {
+            return null;
+        },
+
+        /**
+         * Fetch a model from its JSON file
+         */
+        sync: function(method, model, options) {
+            if (method !== 'read') {
+                throw new Error('Static data sources are read-only');
+            }
+            options = options || {};
+            options.url = (options.url || _.result(model, 'url')) + this.extension;
+            return RestSource.prototype.sync.call(this, method, model, options);
+        }
+
+    });
+
+    return StaticSource;
+
+});
@@ -1,20 +1,30 @@
-define(['backbone', 'underscore', './visualisation', '../collections/fields', '../collections/shared', '../collections/pool'],
-    function(Backbone, _, Visualisation, FieldsCollection, SharedCollection, ConnectionPool) {
+define(['backbone', 'underscore', '../lib/cut', '../lib/sources/default', './visualisation', '../collections/fields', '../collections/shared', '../collections/pool'],
+    function(Backbone, _, cuts, defaultSource, Visualisation, FieldsCollection, SharedCollection, ConnectionPool) {
     'use strict';
 
     var Dataset = Backbone.Model.extend({
 
         url: function() {
-            return '/api/datasets/' + this.get('id');
+            return this.source.datasetUrl(this);
+        },
+
+        sync: function(method, model, options) {
+            return this.source.sync(method, model, options);
         },
 
         // Types of the fields that can be used as measures
         measureFieldTypes: ['integer', 'float'],
 
+        // Maximum number of cuts kept in the undo history
+        maxCutHistory: 50,
+
         /**
          * Initialise dataset's visualisation model
          */
         initialize: function(options) {
+            // Set the data source adapter (see lib/sources/rest)
+            this.source = options.source || defaultSource;
+
             // Check if visualisation was supplied in model data
             if (!_.isUndefined(options.visualisations) && !_.isUndefined(options.visualisations[0])) {
                 this.visualisation = new Visualisation(_.extend(
@@ -36,6 +46,10 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
             // Initialise cut
             this.cut = options.cut || {};
 
+            // Initialise cut history (undo/redo stacks) and named cut snapshots
+            this.cutHistory = {past: [], future: []};
+            this.cutSnapshots = {};
+
             // Create collection for field models
             this.fields = new FieldsCollection();
 
@@ -43,7 +57,13 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
             this.shared = new SharedCollection(null, {dataset: this});
 
             // Create connection pool collection
-            this.pool = new ConnectionPool(null, {dataset: this, defaultCut: options.cut});
+            this.pool = new ConnectionPool(null, {
+                dataset: this,
+                defaultCut: options.cut,
+                batchRequests: options.batch_requests,
+                cacheSize: options.cache_size,
+                cacheTTL: options.cache_ttl
+            });
         },
 
         reset: function () {
@@ -64,8 +84,9 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
         },
 
         /**
-         * Get the list of values of the current cut for this dimension.
-         * Returns undefined if no cut is set on dimension.
+         * Get the list of values (or the operator, see lib/cut) of the current
+         * cut for this dimension.
+         * Returns an empty list if no cut is set on dimension.
          */
         getCut: function(dimension) {
             if (_.isUndefined(dimension)) {
@@ -87,7 +108,7 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
          * Compares the specified ID to the ID of the current cut for this dimension
          */
         hasCutId: function(dimension, id) {
-            return (this.isCut(dimension) && _.indexOf(this.cut[dimension], id) > -1);
+            return (this.isCut(dimension) && cuts.matches(this.cut[dimension], id));
         },
 
         /**
@@ -99,6 +120,8 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
          *      true if we want the cut values to be appended rather than replaced
          */
         addCut: function (cut, append) {
+            var previous = _.clone(this.cut, true);
+
             // Update dataset cut
             _.each(cut, function (value, key) {
 
@@ -106,20 +129,29 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
                     // Remove all values
                     delete this.cut[key];
                 }else{
-                    // Append or replace a (list of) value(s)
-                    var cutVal = (_.isArray(value)) ? value : [value];
-
-                    if (append === true) {
-                        if (_.isUndefined(this.cut[key])) {
-                            this.cut[key] = [];
-                        }
-                        cutVal = this.cut[key].concat(cutVal);
-                    }
-                    this.cut[key] = cutVal;
+                    // Append or replace a (list of) value(s) or an operator
+                    // (see lib/cut)
+                    this.cut[key] = (append === true) ? cuts.append(this.cut[key], value) : cuts.normalise(value);
                 }
             }, this);
 
-            // Update field connections
+            // Record the previous cut so that this change can be undone
+            if (!_.isEqual(previous, this.cut)) {
+                this._pushCutHistory(previous);
+                this.trigger('cut:change', this, this.getCut());
+            }
+
+            this.updateConnections(cut);
+        },
+
+        /**
+         * Update the cut on every connection in the pool and re-fetch the
+         * ones affected by the change
+         *
+         * @param cut
+         *      the dimensions (and values) which have changed
+         */
+        updateConnections: function (cut) {
             this.pool.forEach(function(conn) {
 
                 // Update cut on every field connection
@@ -130,10 +162,13 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
                 if (!_.isUndefined(conn.get('dimension'))) {
                     var dimension = conn.get('dimension'),
                         type = conn.get('type'),
-                        update = this.fields.get(dimension).get('update_dimension');
+                        update = this.fields.get(dimension).get('update_dimension'),
 
-                    // Re-fetch if the field *isn't* included in the updated cut
-                    fetchConn = (_.size(cut) > 1 || !_.has(cut, dimension)) && (type !== 'dimensions' || update === true);
+                        // Cross-tabulated observations have two dimensions
+                        dimensions = _.compact([dimension, conn.get('column_dimension')]);
+
+                    // Re-fetch if the updated cut includes other fields
+                    fetchConn = (_.isEmpty(cut) || !_.isEmpty(_.omit(cut, dimensions))) && (type !== 'dimensions' || update === true);
                 }
 
                 // Re-fetch the connection or just let the observers know that
@@ -148,6 +183,135 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
             }, this);
         },
 
+        /**
+         * Replace the whole cut, without recording the change in the history
+         *
+         * The cut object is updated in place as it is shared with the
+         * connection pool.
+         */
+        _replaceCut: function (cut) {
+            // Get the dimensions whose cut values are changing
+            var changed = _.chain(_.keys(this.cut).concat(_.keys(cut)))
+                .uniq()
+                .reject(function (key) {
+                    return _.isEqual(this.cut[key], cut[key]);
+                }, this)
+                .map(function (key) {
+                    return [key, _.has(cut, key) ? cut[key] : null];
+                })
+                .object()
+                .value();
+
+            _.each(_.keys(this.cut), function (key) {
+                delete this.cut[key];
+            }, this);
+            _.extend(this.cut, _.clone(cut, true));
+
+            this.updateConnections(changed);
+        },
+
+        /**
+         * Record a cut in the undo history, discarding any undone changes
+         */
+        _pushCutHistory: function (cut) {
+            this.cutHistory.past.push(cut);
+            if (this.cutHistory.past.length > this.maxCutHistory) {
+                this.cutHistory.past.shift();
+            }
+            this.cutHistory.future = [];
+        },
+
+        /**
+         * Replace the whole cut. The change can be undone, unless the silent
+         * option is set (e.g. when restoring a cut from the location hash),
+         * in which case no "cut:change" event is triggered either.
+         */
+        setCut: function (cut, options) {
+            if (_.isEqual(this.cut, cut)) {
+                return;
+            }
+            if (options && options.silent) {
+                this._replaceCut(cut);
+                return;
+            }
+            this._pushCutHistory(_.clone(this.cut, true));
+            this._replaceCut(cut);
+            this.trigger('cut:change', this, this.getCut());
+        },
+
+        /**
+         * Check if there is a cut change that can be undone
+         */
+        canUndoCut: function () {
+            return this.cutHistory.past.length > 0;
+        },
+
+        /**
+         * Check if there is an undone cut change that can be redone
+         */
+        canRedoCut: function () {
+            return this.cutHistory.future.length > 0;
+        },
+
+        /**
+         * Revert the last cut change
+         */
+        undoCut: function () {
+            if (!this.canUndoCut()) {
+                return;
+            }
+            this.cutHistory.future.push(_.clone(this.cut, true));
+            this._replaceCut(this.cutHistory.past.pop());
+            this.trigger('cut:undo', this, this.getCut());
+        },
+
+        /**
+         * Re-apply the last undone cut change
+         */
+        redoCut: function () {
+            if (!this.canRedoCut()) {
+                return;
+            }
+            this.cutHistory.past.push(_.clone(this.cut, true));
+            this._replaceCut(this.cutHistory.future.pop());
+            this.trigger('cut:redo', this, this.getCut());
+        },
+
+        /**
+         * Save the current cut as a named snapshot
+         */
+        saveCutSnapshot: function (name) {
+            this.cutSnapshots[name] = _.clone(this.cut, true);
+            this.trigger('cut:snapshot', this, name);
+        },
+
+        /**
+         * Remove a named cut snapshot
+         */
+        removeCutSnapshot: function (name) {
+            delete this.cutSnapshots[name];
+            this.trigger('cut:snapshot', this, name);
+        },
+
+        /**
+         * Get the names of the saved cut snapshots
+         */
+        getCutSnapshots: function () {
+            return _.keys(this.cutSnapshots).sort();
+        },
+
+        /**
+         * Set the cut to a named snapshot. The change can be undone.
+         */
+        restoreCutSnapshot: function (name) {
+            if (!_.has(this.cutSnapshots, name) || _.isEqual(this.cut, this.cutSnapshots[name])) {
+                return;
+            }
+            this._pushCutHistory(_.clone(this.cut, true));
+            this._replaceCut(this.cutSnapshots[name]);
+            this.trigger('cut:restore', this, name);
+        },
+
         /**
          * Remove cut(s)
          * @param keys
@@ -169,12 +333,7 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
             this.addCut(_.object(keys,
                 _.map(keys, function (k, i) {
                     if (!_.isUndefined(this.cut[k]) && !_.isUndefined(values[i])) {
-                        var exclude = !_.isArray(values[i]) ? [values[i]] : values[i],
-                            cut = _.difference(this.cut[k], exclude);
-
-                        if (cut.length > 0) {
-                           return cut;
-                        }
+                        return cuts.remove(this.cut[k], values[i]);
                     }
                     return null;
                 }, this)
@@ -205,12 +364,54 @@ define(['backbone', 'underscore', './visualisation', '../collections/fields', '.
                     lower_bound: 1,
                     upper_bound: hierarchy.ancestor_fields.length
                 };
-                hierarchy = _.extend({}, default_available_levels, hierarchy.available_levels);
+                hierarchy = _.extend({}, hierarchy, {
+                    available_levels: _.extend(default_available_levels, hierarchy.available_levels)
+                });
             }
 
             return hierarchy;
         },
 
+        /**
+         * Get the current level of a hierarchical dimension (the highest
+         * available level, if no level has been drilled down to)
+         */
+        getHierarchyLevel: function (dimensionId) {
+            var dimensionHierarchy = this.getDimensionHierarchy(dimensionId);
+            if (_.isUndefined(dimensionHierarchy)) {
+                return;
+            }
+
+            if (this.isCut(dimensionHierarchy.level_field)) {
+                return parseInt(cuts.values(this.cut[dimensionHierarchy.level_field])[0], 10);
+            }
+            return dimensionHierarchy.available_levels.upper_bound;
+        },
+
+        /**
+         * Get the levels of a hierarchical dimension from the highest
+         * available one down to the current one, as {level, parent} objects:
+         * parent is the ancestor value the level has been drilled down to
+         * (see drillDown()), or null
+         */
+        getHierarchyPath: function (dimensionId) {
+            var dimensionHierarchy = this.getDimensionHierarchy(dimensionId);
+            if (_.isUndefined(dimensionHierarchy)) {
+                return [];
+            }
+
+            var current = this.getHierarchyLevel(dimensionId),
+                upper = dimensionHierarchy.available_levels.upper_bound;
+
+            return _.map(_.range(upper, current - 1, -1), function (level) {
+                var field = dimensionHierarchy.ancestor_fields[level - 1];
+                return {
+                    level: level,
+                    parent: (this.isCut(field)) ? cuts.values(this.cut[field])[0] : null
+                };
+            }, this);
+        },
+
         /**
          * Reset the cut defined on the ancestor dimensions that are related
          * to hierarchy levels equal or deeper than leve
@@ -0,0 +1,173 @@
+define(['backbone', 'underscore', '../../lib/cut', '../../lib/expression', './dimensionalConnection'],
+    function (Backbone, _, cuts, expression, DimensionalConnection) {
+    'use strict';
+
+    /**
+     * Observations of a calculated measure
+     *
+     * The connection doesn't fetch any data itself: it gets an observations
+     * connection from the pool for each aggregation in its expression and,
+     * once they have all been synced with the current cut, evaluates the
+     * expression for each dimension value (or for the total, if the
+     * connection has no dimension).
+     */
+    var CalculatedConnection = DimensionalConnection.extend({
+
+        initialize: function (options) {
+            // Set dataset model
+            this.dataset = options.dataset;
+
+            // Connection's usage count (updated by ConnectionPool)
+            this.usage = 0;
+
+            this._expression = expression.parse(this.get('expression'));
+
+            // Get the connections to the component aggregations
+            this._components = _.map(expression.terms(this._expression), function (term) {
+                var conn = this.collection.getConnection({
+                    type: 'observations',
+                    dimension: this.get('dimension'),
+                    bucket: this.get('bucket'),
+                    bucket_interval: this.get('bucket_interval'),
+                    offset_interval: this.get('offset_interval'),
+                    measure: term.measure,
+                    aggregation: term.aggregation
+                });
+
+                this.listenTo(conn, 'connection:sync', this._onComponentSync);
+                this.listenTo(conn, 'connection:error', this._onComponentError);
+                return conn;
+            }, this);
+
+            // Release the components along with this connection
+            this.listenTo(this, 'remove', this._releaseComponents);
+
+            if (this._isSynced()) {
+                this.calculate();
+            }
+        },
+
+        /**
+         * Components fetch their own data
+         */
+        fetch: _.noop,
+
+        /**
+         * Check whether all the components have been synced with the current
+         * cut
+         */
+        _isSynced: function () {
+            var key = cuts.key(this.get('cut'));
+            return _.every(this._components, function (conn) {
+                return conn.isLoaded() && !_.isNull(conn.syncedCut) && cuts.key(conn.syncedCut) === key;
+            });
+        },
+
+        /**
+         * Handle a component sync event
+         */
+        _onComponentSync: function () {
+            if (this._isSynced()) {
+                this.calculate();
+                this.trigger('connection:sync', this);
+            }
+        },
+
+        /**
+         * Handle a component error event
+         */
+        _onComponentError: function (conn, error) {
+            this.trigger('connection:error', this, error);
+        },
+
+        _releaseComponents: function () {
+            _.each(this._components, function (conn) {
+                this.stopListening(conn);
+                this.collection.releaseConnection(conn);
+            }, this);
+            this._components = [];
+        },
+
+        /**
+         * Get the component connection for an aggregation
+         */
+        _getComponent: function (aggregation, measure) {
+            return _.find(this._components, function (conn) {
+                return conn.get('aggregation') === aggregation && (conn.get('measure') || null) === measure;
+            });
+        },
+
+        /**
+         * Evaluate the expression with the components data
+         */
+        calculate: function () {
+            var dimension = this.get('dimension');
+
+            // Total
+            if (_.isUndefined(dimension)) {
+                this.set('total', expression.evaluate(this._expression, _.bind(function (aggregation, measure) {
+                    return this._getComponent(aggregation, measure).getData();
+                }, this)));
+                return;
+            }
+
+            // Index the components values by dimension value ID
+            var values = _.map(this._components, function (conn) {
+                    return _.object(_.map(conn.getData(), function (d) {
+                        return [d.id, d.total];
+                    }));
+                }),
+                ids = _.uniq(_.flatten(_.map(this._components, function (conn) {
+                    return conn.getDataIds();
+                }))),
+                data = _.map(ids, function (id) {
+                    return {
+                        id: id,
+                        total: expression.evaluate(this._expression, _.bind(function (aggregation, measure) {
+                            return values[_.indexOf(this._components, this._getComponent(aggregation, measure))][id];
+                        }, this))
+                    };
+                }, this);
+
+            // Skip the undefined values (e.g. divisions by zero)
+            this.set(dimension, _.reject(data, function (d) {
+                return _.isNull(d.total);
+            }));
+        },
+
+        /**
+         * Get data
+         */
+        getData: function () {
+            if (_.isUndefined(this.get('dimension'))) {
+                return this.get('total');
+            }
+            return DimensionalConnection.prototype.getData.apply(this, arguments);
+        },
+
+        /**
+         * Get the error of the first failed component (null if none failed)
+         */
+        getError: function () {
+            var conn = _.find(this._components, function (conn) {
+                return !_.isNull(conn.getError());
+            });
+            return (conn) ? conn.getError() : null;
+        },
+
+        /**
+         * Re-fetch the failed components
+         */
+        retry: function () {
+            _.each(this._components, function (conn) {
+                if (!_.isNull(conn.getError())) {
+                    conn.retry();
+                }
+            });
+        }
+
+    });
+
+    return CalculatedConnection;
+
+});
@@ -1,15 +1,36 @@
-define(['backbone', 'underscore'], function (Backbone, _) {
+define(['backbone', 'underscore', '../../lib/cut'], function (Backbone, _, cuts) {
     'use strict';
 
     var Connection = Backbone.Model.extend({
 
-        apiEndpoint: function () {
-            return '/api/datasets/' + this.dataset.get('id') + '/' + this.get('type') + '/';
-        },
+        // Request timeout (ms)
+        timeout: 30000,
+
+        // Number of times a failed fetch is retried, and the delay (ms) before
+        // the first retry (doubled on each following retry)
+        maxRetries: 3,
+        retryDelay: 1000,
 
         url: function () {
-            var url = this.apiEndpoint(),
-                params = _.extend({}, this.get('cut'), {aggregation: this.get('aggregation')});
+            return this.dataset.source.connectionUrl(this);
+        },
+
+        /**
+         * Get the cut to query the observations with
+         */
+        getCut: function () {
+            return this.get('cut');
+        },
+
+        /**
+         * Get the query parameters: cut, aggregation, measure and bucketing
+         */
+        getParams: function () {
+            var params = _.reduce(this.getCut(), function (params, value, dimension) {
+                    return _.extend(params, cuts.params(dimension, value));
+                }, {});
+
+            params.aggregation = this.get('aggregation');
 
             if (this.get('measure')) {
                 params.measure = this.get('measure');
@@ -23,15 +44,7 @@ define(['backbone', 'underscore'], function (Backbone, _) {
                 params.bucket = this.get('bucket');
             }
 
-            // Build up query parameters
-            var urlParams = _.map(params, function (value, key, cut) {
-                return key + '=' + value;
-            });
-
-            // Add query parameters to URL
-            url += '?' + urlParams.join('&');
-
-            return url;
+            return params;
         },
 
         /**
@@ -49,14 +62,155 @@ define(['backbone', 'underscore'], function (Backbone, _) {
             // Connection's usage count (updated by ConnectionPool)
             this.usage = 0;
 
+            // The in-flight request and the cut of the last handled response
+            // (see sync())
+            this._request = null;
+            this.syncedCut = null;
+
+            // Failed fetches (see _onError())
+            this._retries = 0;
+            this._retryTimer = null;
+            this._error = null;
+
             // Trigger our own connection:sync event when the connection model
             // is synched.
             this.listenTo(this, 'sync', _.bind(this.trigger, this, 'connection:sync'));
 
+            // Retry failed fetches and trigger our own connection:error event
+            // when they keep failing
+            this.listenTo(this, 'sync', this._onSync);
+            this.listenTo(this, 'error', this._onError);
+
             // Fetch
             this.fetch();
         },
 
+        /**
+         * Override Backbone.Model.sync
+         *
+         * Only the response to the latest fetch is handled: when a new fetch
+         * starts, the previous request is aborted and its response, if it
+         * still arrives, is dropped. The connection pool may merge fetches
+         * into batch requests and answer them from its cache.
+         */
+        sync: function (method, model, options) {
+            if (method !== 'read') {
+                return this.dataset.source.sync(method, model, options);
+            }
+
+            var success = options.success,
+                error = options.error,
+                request = {cut: _.clone(this.get('cut'), true)},
+                cache = (this.collection) ? this.collection.cache : null,
+                cacheKey = (cache) ? this.collection.getCacheKey(this, request.cut) : null,
+                cached = (cache) ? cache.get(cacheKey) : undefined;
+
+            // Abort the previous request (if still in flight)
+            this.abort();
+            this._request = request;
+
+            _.defaults(options, {timeout: this.timeout});
+
+            // Reset the retries count, unless this is a retry
+            if (options.retry !== true) {
+                this._retries = 0;
+            }
+
+            options.success = _.bind(function (resp) {
+                if (request === this._request) {
+                    this._request = null;
+                    this.syncedCut = request.cut;
+                    if (cache && _.isUndefined(cached)) {
+                        cache.set(cacheKey, resp);
+                    }
+                    success.apply(this, arguments);
+                }
+            }, this);
+
+            // Use the cached response
+            if (!_.isUndefined(cached)) {
+                options.success(cached);
+                return;
+            }
+
+            options.error = _.bind(function () {
+                if (request === this._request) {
+                    this._request = null;
+                    error.apply(this, arguments);
+                }
+            }, this);
+
+            if (this.collection && this.collection.batchRequests) {
+                request.xhr = this.collection.queueFetch(this, options);
+            } else {
+                request.xhr = this.dataset.source.sync(method, model, options);
+            }
+            return request.xhr;
+        },
+
+        /**
+         * Abort the in-flight request (if any) and any pending retry
+         */
+        abort: function () {
+            var request = this._request;
+            this._request = null;
+
+            clearTimeout(this._retryTimer);
+            this._retryTimer = null;
+
+            if (request && request.xhr) {
+                request.xhr.abort();
+            }
+        },
+
+        /**
+         * Handle a successful fetch
+         */
+        _onSync: function () {
+            this._retries = 0;
+            this._error = null;
+        },
+
+        /**
+         * Handle a failed fetch: server errors and timeouts are retried with
+         * an exponential backoff, then a connection:error event is triggered
+         */
+        _onError: function (model, xhr) {
+            var retry = (xhr.status === 0 || xhr.status >= 500);
+
+            if (retry && this._retries < this.maxRetries) {
+                this._retryTimer = setTimeout(
+                    _.bind(this.fetch, this, {retry: true}),
+                    this.retryDelay * Math.pow(2, this._retries++)
+                );
+                return;
+            }
+
+            this._retries = 0;
+            this._error = {
+                status: xhr.status,
+                statusText: xhr.statusText
+            };
+            this.trigger('connection:error', this, this._error);
+        },
+
+        /**
+         * Get the error of the last failed fetch (null if the last fetch
+         * didn't fail)
+         */
+        getError: function () {
+            return this._error;
+        },
+
+        /**
+         * Re-fetch after an error
+         */
+        retry: function () {
+            this._retries = 0;
+            this._error = null;
+            this.fetch();
+        },
+
         /**
          * Check if data has loaded
          */
@@ -0,0 +1,99 @@
+define(['backbone', 'underscore', '../../lib/cut', './dimensionalConnection'],
+    function (Backbone, _, cuts, DimensionalConnection) {
+    'use strict';
+
+    /**
+     * Observations cross-tabulated by two dimensions
+     *
+     * The connection's "dimension" gives the rows and its
+     * "column_dimension" (with the optional "column_bucket" and
+     * "column_bucket_interval" bucketing) the columns. The observations are
+     * nested by row, e.g. for the "country" and "year" dimensions:
+     *
+     *     {country: [{id: 0, year: [{id: 2014, total: 10}, ...]}, ...]}
+     *
+     * Like the cut on the dimension of other observations connections, the
+     * cut on both dimensions is ignored (see Dataset.updateConnections()).
+     */
+    var CrossTabConnection = DimensionalConnection.extend({
+
+        /**
+         * Add the column dimension and bucketing to the query parameters
+         */
+        getParams: function() {
+            var params = DimensionalConnection.prototype.getParams.apply(this, arguments),
+                column = this.get('column_dimension');
+
+            if (_.has(this.get('cut'), column)) {
+                params = _.omit(params, _.keys(cuts.params(column, this.get('cut')[column])));
+            }
+
+            params.column_dimension = column;
+
+            _.each(['bucket_interval', 'bucket'], function(param) {
+                var value = this.get('column_' + param);
+                if (!_.isUndefined(value) && !_.isNull(value)) {
+                    params['column_' + param] = value;
+                }
+            }, this);
+
+            return params;
+        },
+
+        /**
+         * Get sum of observation values
+         */
+        getSum: function() {
+            var column = this.get('column_dimension');
+            return _.reduce(this.get(this.get('dimension')), function(sum, row) {
+                return _.reduce(row[column], function(i, d) {
+                    return i + d.total;
+                }, sum);
+            }, 0);
+        },
+
+        /**
+         * Get data (the rows)
+         */
+        getData: function(format) {
+            var data = this.get(this.get('dimension')),
+                column = this.get('column_dimension'),
+                sum;
+
+            // Use percentages of the sum of all the values
+            if (format === 'percentage') {
+                sum = this.getSum();
+                data = _.map(data, function(row) {
+                    return _.object([['id', row.id], [column, _.map(row[column], _.partial(this.getRatio, sum))]]);
+                }, this);
+            }
+
+            return data;
+        },
+
+        /**
+         * Get the value of a cell (undefined if there's no observation for
+         * the row and column)
+         */
+        getValue: function(rowId, columnId, format) {
+            var row = _.findWhere(this.getData(format), {id: rowId});
+            if (row) {
+                return _.findWhere(row[this.get('column_dimension')], {id: columnId});
+            }
+        },
+
+        /**
+         * Get the columns ids
+         */
+        getColumnIds: function() {
+            var column = this.get('column_dimension');
+            return _.uniq(_.flatten(_.map(this.getData(), function(row) {
+                return _.pluck(row[column], 'id');
+            })));
+        }
+
+    });
+
+    return CrossTabConnection;
+
+});
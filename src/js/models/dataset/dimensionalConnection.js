@@ -4,8 +4,22 @@ define(['backbone', 'underscore', './connection'],
 
     var DimensionalConnection = Connection.extend({
 
-        apiEndpoint: function () {
-            return '/api/datasets/' + this.dataset.get('id') + '/' + this.get('type') + '/' + this.get('dimension');
+        // ID of the observation grouping the values left out of a top-N (see
+        // getData())
+        otherId: '_other',
+
+        // How the totals of the values left out of a top-N combine, by
+        // aggregation. There's no "Other" observation for the aggregations
+        // which can't be combined (e.g. mean or median).
+        otherAggregations: {
+            sum: function(totals) {
+                return _.reduce(totals, function(sum, total) { return sum + total; }, 0);
+            },
+            rows: function(totals) {
+                return _.reduce(totals, function(sum, total) { return sum + total; }, 0);
+            },
+            min: function(totals) { return _.min(totals); },
+            max: function(totals) { return _.max(totals); }
         },
 
         /**
@@ -24,10 +38,26 @@ define(['backbone', 'underscore', './connection'],
             return _.extend({}, d, {total: d.total / total});
         },
 
+        /**
+         * Combine the totals of the values left out of a top-N, or null if
+         * the connection's aggregation can't be combined or if none of them
+         * is defined (see CrossfilterSource.aggregate())
+         */
+        getOtherTotal: function(totals) {
+            var combine = this.otherAggregations[this.get('aggregation')];
+
+            totals = _.reject(totals, _.isNull);
+            return (combine && totals.length > 0) ? combine(totals) : null;
+        },
+
         /**
          * Get data
+         *
+         * @param top (optional) only keep this number of values (once
+         *      sorted), the rest being grouped in an "Other" observation whose
+         *      "other" attribute lists their IDs
          */
-        getData: function(format, sort, sort_direction) {
+        getData: function(format, sort, sort_direction, top) {
             var data = this.get(this.get('dimension'));
 
             // Use percentages
@@ -45,6 +75,17 @@ define(['backbone', 'underscore', './connection'],
                 }
             }
 
+            // Top-N
+            if (top && data.length > top) {
+                var rest = data.slice(top),
+                    total = this.getOtherTotal(_.pluck(rest, 'total'));
+
+                data = data.slice(0, top);
+                if (!_.isNull(total)) {
+                    data.push({id: this.otherId, total: total, other: _.pluck(rest, 'id')});
+                }
+            }
+
             return data;
         },
 
@@ -0,0 +1,71 @@
+define(['backbone', 'underscore', 'd3', '../../lib/cut', './dimensionalConnection'],
+    function (Backbone, _, d3, cuts, DimensionalConnection) {
+    'use strict';
+
+    /**
+     * Observations over a date dimension, offset by one time interval (the
+     * "offset_interval" attribute, e.g. "date_year")
+     *
+     * The cut on the dataset's date fields is moved back by the interval and
+     * the observations IDs are moved forward by it, so that the observations
+     * of the previous period line up with the current ones.
+     */
+    var OffsetConnection = DimensionalConnection.extend({
+
+        // Time intervals (and number of steps) of the allowed offsets
+        intervals: {
+            date_year: [d3.time.year.utc, 1],
+            date_quarter: [d3.time.month.utc, 3],
+            date_month: [d3.time.month.utc, 1],
+            date_week: [d3.time.week.utc, 1],
+            date_day: [d3.time.day.utc, 1],
+            date_hour: [d3.time.hour.utc, 1],
+            date_minute: [d3.time.minute.utc, 1],
+            date_second: [d3.time.second.utc, 1]
+        },
+
+        /**
+         * Move a timestamp by a number of offset intervals
+         */
+        offset: function (time, count) {
+            var interval = this.intervals[this.get('offset_interval')];
+            if (!interval) {
+                throw new Error('Invalid offset interval: ' + this.get('offset_interval'));
+            }
+            return interval[0].offset(new Date(time), count * interval[1]).getTime();
+        },
+
+        /**
+         * Override Connection.getCut(): move the date cuts back
+         */
+        getCut: function () {
+            return _.object(_.map(this.get('cut'), function (value, dimension) {
+                var field = this.dataset.fields.get(dimension);
+                if (field && field.get('type') === 'date') {
+                    value = cuts.map(value, function (time) {
+                        return this.offset(time, -1);
+                    }, this);
+                }
+                return [dimension, value];
+            }, this));
+        },
+
+        /**
+         * Move the observations IDs forward
+         */
+        parse: function (response) {
+            var dimension = this.get('dimension');
+            if (_.has(response, dimension)) {
+                response = _.clone(response);
+                response[dimension] = _.map(response[dimension], function (d) {
+                    return _.extend({}, d, {id: this.offset(d.id, 1)});
+                }, this);
+            }
+            return response;
+        }
+
+    });
+
+    return OffsetConnection;
+
+});
@@ -1,13 +1,20 @@
-define(['backbone', 'underscore', '../collections/elements', '../collections/styles'],
-    function (Backbone, _, ElementsCollection, StylesCollection) {
+define(['backbone', 'underscore', '../lib/expression', '../collections/elements', '../collections/styles'],
+    function (Backbone, _, expression, ElementsCollection, StylesCollection) {
     'use strict';
 
     var Visualisation = Backbone.Model.extend({
 
         MAX_ELEMENTS: 100,
 
+        // Default scale factor of the PNG and PDF exports
+        DEFAULT_EXPORT_SCALE: 2,
+
         url: function () {
-            return '/api/datasets/' + this.dataset.get('id') + '/visualisations/' + this.get('id');
+            return this.dataset.source.visualisationUrl(this);
+        },
+
+        sync: function (method, model, options) {
+            return this.dataset.source.sync(method, model, options);
         },
 
         /**
@@ -72,6 +79,113 @@ define(['backbone', 'underscore', '../collections/elements', '../collections/sty
             this.elements.save();
         },
 
+        /**
+         * Get the calculated measures definitions: {id, label, expression}
+         * objects (see lib/expression)
+         */
+        getCalculatedMeasures: function () {
+            return this.get('calculated_measures') || [];
+        },
+
+        /**
+         * Get a calculated measure definition
+         */
+        getCalculatedMeasure: function (id) {
+            var measure = _.findWhere(this.getCalculatedMeasures(), {id: id});
+            if (!measure) {
+                throw new Error('Unknown calculated measure: ' + id);
+            }
+            return measure;
+        },
+
+        /**
+         * Add (or replace) a calculated measure definition. Throws an error
+         * if its expression is invalid or uses unknown fields.
+         */
+        addCalculatedMeasure: function (measure) {
+            _.each(expression.terms(expression.parse(measure.expression)), function (term) {
+                if (!_.isNull(term.measure) && !this.dataset.fields.get(term.measure)) {
+                    throw new Error('Unknown field in expression: ' + term.measure);
+                }
+            }, this);
+
+            this.set('calculated_measures', _.reject(this.getCalculatedMeasures(), function (m) {
+                return m.id === measure.id;
+            }).concat([_.pick(measure, 'id', 'label', 'expression')]));
+        },
+
+        /**
+         * Remove a calculated measure definition
+         */
+        removeCalculatedMeasure: function (id) {
+            this.set('calculated_measures', _.reject(this.getCalculatedMeasures(), function (m) {
+                return m.id === id;
+            }));
+        },
+
+        /**
+         * Get the hierarchies defined over the dataset's fields: {id, label,
+         * levels} objects, whose levels (from the highest to the deepest) are
+         * {field, bucket, bucket_interval, label} objects. Elements drill down
+         * their dimension from one level to the next one (see
+         * DynamicElement.updateHierarchy()).
+         *
+         * Note: these hierarchies are independent from the dataset's
+         * hierarchical dimensions (see Dataset.getDimensionHierarchy()).
+         */
+        getHierarchies: function () {
+            return this.get('hierarchies') || [];
+        },
+
+        /**
+         * Get a hierarchy definition
+         */
+        getHierarchy: function (id) {
+            var hierarchy = _.findWhere(this.getHierarchies(), {id: id});
+            if (!hierarchy) {
+                throw new Error('Unknown hierarchy: ' + id);
+            }
+            return hierarchy;
+        },
+
+        /**
+         * Add (or replace) a hierarchy definition. Throws an error if it
+         * has less than two levels or uses unknown fields.
+         */
+        addHierarchy: function (hierarchy) {
+            if (!_.isArray(hierarchy.levels) || hierarchy.levels.length < 2) {
+                throw new Error('Hierarchies need at least two levels');
+            }
+
+            _.each(hierarchy.levels, function (level) {
+                if (!this.dataset.fields.get(level.field)) {
+                    throw new Error('Unknown field in hierarchy: ' + level.field);
+                }
+            }, this);
+
+            this.set('hierarchies', _.reject(this.getHierarchies(), function (h) {
+                return h.id === hierarchy.id;
+            }).concat([_.pick(hierarchy, 'id', 'label', 'levels')]));
+        },
+
+        /**
+         * Remove a hierarchy definition
+         */
+        removeHierarchy: function (id) {
+            this.set('hierarchies', _.reject(this.getHierarchies(), function (h) {
+                return h.id === id;
+            }));
+        },
+
+        /**
+         * Get the scale factor of the PNG and PDF exports, i.e. the number of
+         * image pixels per CSS pixel (see lib/export)
+         */
+        getExportScale: function () {
+            var scale = this.get('export_scale');
+            return (_.isNumber(scale) && scale > 0) ? scale : this.DEFAULT_EXPORT_SCALE;
+        },
+
         /**
          * Builds the most appropriate element's dimensions depending on its
          * type:
@@ -81,12 +195,14 @@ define(['backbone', 'underscore', '../collections/elements', '../collections/sty
          *   all the dataset's fields or all the dataset's string fields
          *   depending on whether, respectively, the element type is summary
          *   or navigation
+         * - pivot tables and heatmaps use the first two dataset's fields
          *
          *   @returns an Array of element's dimensions attributes
          */
         defaultElementDimensions: function (type) {
             return _.compact(this.dataset.fields.map(function (field, index) {
                 if ((index < 1 && type !== 'navigation') ||
+                    (index < 2 && (type === 'pivot' || type === 'heatmap')) ||
                     (type === 'summary') ||
                     (type === 'navigation' && field.get('type') === 'string')) {
                     return {
@@ -15,17 +15,11 @@ function (Backbone, _, $, d3, format, Field, ElementDimensionCollection) {
          * Get element model URL
          */
         url: function() {
-            var path = [
-                'api/datasets',
-                this.dataset.get('id'),
-                'visualisations',
-                this.visualisation.get('id'),
-                'elements'
-            ];
-            if (this.get('id')) {
-                path.push(this.get('id'));
-            }
-            return '/' + path.join('/');
+            return this.dataset.source.elementUrl(this);
+        },
+
+        sync: function(method, model, options) {
+            return this.dataset.source.sync(method, model, options);
         },
 
         /**
@@ -79,7 +73,20 @@ function (Backbone, _, $, d3, format, Field, ElementDimensionCollection) {
          */
         setState: function(state) {
             this.set(this.parse(JSON.parse(state)), {silent: false});
-        }
+        },
+
+        /**
+         * Get a compact representation of the element's view state (e.g.
+         * sorting and bucketing) that can be stored in a URL.
+         * Returns null if the element has no view state.
+         */
+        getLinkState: _.constant(null),
+
+        /**
+         * Update the element's view state from the representation returned
+         * by getLinkState()
+         */
+        setLinkState: _.noop
 
     });
 
@@ -1,5 +1,5 @@
-define(['backbone', 'underscore', '../dynamicElement'],
-function (Backbone, _, DynamicElement) {
+define(['backbone', 'underscore', '../../../../lib/cut', '../dynamicElement'],
+function (Backbone, _, cuts, DynamicElement) {
     'use strict';
 
     /**
@@ -26,6 +26,42 @@ function (Backbone, _, DynamicElement) {
             }
         },
 
+        // Comparison series of line charts over bucketed dates (see
+        // getComparisonObservations()), mapped to their labels
+        comparisons: {
+            previous_period: 'Previous period',
+            previous_year: 'Previous year'
+        },
+
+        // Projections of geo elements (see getProjection()), mapped to their
+        // labels
+        projections: {
+            mercator: 'Mercator',
+            albers: 'Albers',
+            albersUsa: 'Albers USA',
+            equirectangular: 'Equirectangular',
+            orthographic: 'Orthographic',
+            conicEqualArea: 'Conic equal area'
+        },
+
+        // Modes of geo elements (see getMapMode()), mapped to their labels
+        mapModes: {
+            choropleth: 'Choropleth',
+            symbols: 'Proportional symbols'
+        },
+
+        // Field types which can be used as coordinates by proportional symbol
+        // maps
+        coordinateFields: ['float', 'integer'],
+
+        // Geo elements can also use string fields as dimensions when their
+        // symbols are positioned by coordinate fields
+        allowedFields: _.extend({}, DynamicElement.prototype.allowedFields, {
+            geo: function(f) {
+                return (f.get('type') === 'geo' || (f.get('type') === 'string' && !_.isNull(this.getCoordinateFields())));
+            }
+        }),
+
         initConnections: function() {
             if (this._connections) {
                 return;
@@ -49,16 +85,22 @@ function (Backbone, _, DynamicElement) {
             this.dimensions.each(function (dimension, index) {
 
                 // Get common connection options
-                var opts = {
-                    dimension: dimension.get('field'),
-                    bucket: dimension.get('bucket'),
-                    bucket_interval: dimension.get('bucket_interval'),
-                    measure: this.get('settings').get('measure'),
-                    aggregation: this.get('settings').get('aggregation')
-                };
+                var dimensionOpts = {
+                        dimension: dimension.get('field'),
+                        bucket: dimension.get('bucket'),
+                        bucket_interval: dimension.get('bucket_interval')
+                    },
+                    opts = _.extend({}, dimensionOpts, this.getMeasureOptions());
 
-                // Observations
-                this._initConnection('observations', opts);
+                // Observations (one connection for each measure, whose options
+                // mustn't inherit the main measure's)
+                _.each(this.getMeasures(), function(measure, i) {
+                    this._initConnection(
+                        'observations',
+                        _.extend({}, dimensionOpts, this.getMeasureOptions(i)),
+                        this._getMeasureConnectionId(i, opts.dimension)
+                    );
+                }, this);
 
                 // Dimension values (only fetch if the field type has an
                 // associated dimension connection model - see the parent
@@ -69,20 +111,41 @@ function (Backbone, _, DynamicElement) {
 
             }, this);
 
+            // Main measure's observations over the previous period or year
+            var interval = this.getComparisonInterval();
+            if (interval) {
+                var dimension = this.dimensions.at(0);
+                this._initConnection('observations', _.extend({
+                    dimension: dimension.get('field'),
+                    bucket: dimension.get('bucket'),
+                    bucket_interval: dimension.get('bucket_interval'),
+                    offset_interval: interval
+                }, this.getMeasureOptions()), 'comparison');
+            }
+
+            // Mean coordinates of the values of proportional symbol maps
+            _.each(this.getCoordinateFields(), function(field, axis) {
+                this._initConnection('observations', {
+                    dimension: this.dimensions.at(0).get('field'),
+                    measure: field,
+                    aggregation: 'mean'
+                }, axis);
+            }, this);
         },
 
         /**
          * Initialise an observations or dimension connection
          */
-        _initConnection: function(type, opts) {
+        _initConnection: function(type, opts, id) {
             // Get connection
             var conn = this.dataset.pool.getConnection(_.extend({type: type}, opts));
 
-            // Bind to sync event
+            // Bind to sync and error events
             this.listenTo(conn,'connection:sync', this._onSync);
+            this.listenTo(conn,'connection:error', this._onError);
 
             // Keep reference
-            this._connections[type].pool[opts.dimension] = conn;
+            this._connections[type].pool[id || opts.dimension] = conn;
 
             // Update count
             this._connections[type].num++;
@@ -93,6 +156,14 @@ function (Backbone, _, DynamicElement) {
             }
         },
 
+        /**
+         * Get the ID of the observations connection of a measure: the main
+         * measure's connection is identified by the dimension field ID
+         */
+        _getMeasureConnectionId: function(index, id) {
+            return (index) ? id + '#' + index : id;
+        },
+
         /**
          * Handle connection sync event
          */
@@ -162,6 +233,118 @@ function (Backbone, _, DynamicElement) {
             return this._connections[type].pool[id];
         },
 
+        /**
+         * Get the observations of one of the element's measures (see
+         * getMeasures()), in the same order as the main measure's
+         * observations (see getObservations()). Values which are missing
+         * for the measure are set to 0.
+         */
+        getMeasureObservations: function(index, id, type) {
+            var observations = this.getObservations(id, type);
+            if (!index) {
+                return observations;
+            }
+
+            var conn = this._getConnection('observations', this._getMeasureConnectionId(index, id || this._getField().get('id'))),
+                totals = _.object(_.map(conn.getData(this.getMeasureFormatType(type)), function(d) {
+                    return [d.id, d.total];
+                }));
+
+            return _.map(observations, function(d) {
+                // "Other" observation of a top-N (see getTop())
+                if (d.other) {
+                    return {id: d.id, total: conn.getOtherTotal(_.map(d.other, function(id) {
+                        return totals[id] || 0;
+                    })) || 0};
+                }
+                return {id: d.id, total: totals[d.id] || 0};
+            });
+        },
+
+        /**
+         * Check if the element can show a comparison series: only line
+         * charts over a bucketed date dimension can
+         */
+        canCompare: function() {
+            return (this.get('type') === 'line' && this.getFieldType() === 'date' && this.isBucketed());
+        },
+
+        /**
+         * Get the element's comparison (see comparisons), or null if it
+         * doesn't show one
+         */
+        getComparison: function() {
+            var comparison = this.get('settings').get('comparison');
+            return (this.canCompare() && _.has(this.comparisons, comparison)) ? comparison : null;
+        },
+
+        /**
+         * Update the element's comparison (null to remove it)
+         */
+        updateComparison: function(comparison) {
+            if (_.isNull(comparison)) {
+                this.get('settings').unset('comparison');
+            } else if (!_.has(this.comparisons, comparison)) {
+                throw new Error('Invalid comparison: ' + comparison);
+            } else {
+                this.get('settings').set('comparison', comparison);
+            }
+            this.resetConnections();
+        },
+
+        /**
+         * Get the label of the element's comparison series
+         */
+        getComparisonLabel: function() {
+            var comparison = this.getComparison();
+            return (comparison) ? this.comparisons[comparison] : '';
+        },
+
+        /**
+         * Get the time interval the comparison series is offset by (see
+         * OffsetConnection)
+         */
+        getComparisonInterval: function() {
+            switch (this.getComparison()) {
+                case 'previous_period':
+                    return this.dimensions.at(0).get('bucket_interval');
+                case 'previous_year':
+                    return 'date_year';
+                default:
+                    return null;
+            }
+        },
+
+        /**
+         * Get the main measure's observations over the previous period or
+         * year, in the same order as the main measure's observations (see
+         * getObservations()). Values which are missing are set to null.
+         */
+        getComparisonObservations: function(type) {
+            var conn = this._getConnection('observations', 'comparison'),
+                totals = _.object(_.map(conn.getData(this.getMeasureFormatType(type)), function(d) {
+                    return [d.id, d.total];
+                }));
+
+            return _.map(this.getObservations(null, type), function(d) {
+                return {id: d.id, total: _.has(totals, d.id) ? totals[d.id] : null};
+            });
+        },
+
+        /**
+         * Get the relative change of an observation since the previous period
+         * or year, or null if there's no previous value
+         */
+        getComparisonChange: function(id) {
+            var current = this._getConnection('observations').getValueById(id),
+                previous = this._getConnection('observations', 'comparison').getValueById(id);
+
+            if (!current || !previous || !previous.total) {
+                return null;
+            }
+            return (current.total - previous.total) / Math.abs(previous.total);
+        },
+
         /**
          * Get all observations ids
          */
@@ -173,17 +356,17 @@ function (Backbone, _, DynamicElement) {
          * Helper to build the arguments to pass through addCut() / removeCut()
          */
         buildCutArgs: function (cutValue, index) {
-            // When cutting on bucketed fields, use an interval based on the
+            // When cutting on bucketed fields, use a range based on the
             // observation IDs (i.e. the values themselves):
             // * from - the passed cutValue
             // * to - the next largest observation value
             if (this.isBucketed(index)) {
 
                 // Check that d.id isn't the last observation value
-                var IDs = this._getObservationsIds(),
+                var IDs = this._getObservationsIds(this._getField(index).get('id')),
                     toIdx = _.indexOf(IDs, cutValue) + 1;
                 if (!_.isUndefined(IDs[toIdx])) {
-                    return [cutValue, IDs[toIdx]];
+                    return {between: [cutValue, IDs[toIdx]]};
                 }
             }
 
@@ -193,24 +376,218 @@ function (Backbone, _, DynamicElement) {
         },
 
         /**
-         * Override of Element.hasCutId().
-         * For dimensions whose values could be bucketed, the cut is set on
-         * ranges of values. For these dimensions, this helper returns true
-         * only if:
-         *  - id is included in the dataset cut on the dimension
-         *  - id refers to a "from endpoint" of a range the dimension is cut on
+         * Check if a range of the element's dimension values can be selected
+         * (see brushCut()): the dimension has to be a date or numeric field
+         * and the chart has to be ordered by its values
+         */
+        canBrush: function() {
+            var sort = (this.isSortable()) ? this.getSort() : null;
+            return (_.contains(this.bucketFields, this.getFieldType()) && (!sort || sort === 'id'));
+        },
+
+        /**
+         * Build the range cut value including the observations from fromId to
+         * toId (in any order): from the first one (inclusive) to the
+         * observation after the last one, or from the first one onwards if
+         * the last one is the last observation. Returns null if the range
+         * includes all the observations.
+         */
+        buildRangeCutArgs: function(fromId, toId, index) {
+            var IDs = _.sortBy(this._getObservationsIds(this._getField(index).get('id'))),
+                fromIdx = Math.min(_.indexOf(IDs, fromId), _.indexOf(IDs, toId)),
+                toIdx = Math.max(_.indexOf(IDs, fromId), _.indexOf(IDs, toId));
+
+            if (!_.isUndefined(IDs[toIdx + 1])) {
+                return {between: [IDs[fromIdx], IDs[toIdx + 1]]};
+            } else if (fromIdx > 0) {
+                return {gte: IDs[fromIdx]};
+            }
+            return null;
+        },
+
+        /**
+         * Handle a brush selection: cut on the range of observations from
+         * fromId to toId
+         */
+        brushCut: function(fromId, toId) {
+            if (this.get('settings').get('interactive') === false) {
+                return false;
+            }
+
+            var value = this.buildRangeCutArgs(fromId, toId);
+            if (_.isNull(value)) {
+                this.removeCut();
+            } else {
+                this.addCut(value);
+            }
+            return true;
+        },
+
+        /**
+         * Get the first and last observation IDs selected by the range cut on
+         * the element's dimension, or null if there's no range cut
+         */
+        getCutRange: function(index) {
+            if (!this.isCut(index) || !_.contains(['between', 'gt', 'gte', 'lt'], cuts.operator(this.getCut(index)))) {
+                return null;
+            }
+
+            var IDs = _.filter(_.sortBy(this._getObservationsIds(this._getField(index).get('id'))), function(id) {
+                return this.hasCutId(id, index);
+            }, this);
+
+            return (IDs.length > 0) ? [_.first(IDs), _.last(IDs)] : null;
+        },
+
+        /**
+         * Get the projection of geo elements, as a {name, center, rotate,
+         * scale} object. The center ([longitude, latitude]), rotation
+         * ([lambda, phi, gamma]) and scale are null unless they're fixed,
+         * otherwise the map is fitted to its features.
+         */
+        getProjection: function() {
+            var settings = this.get('settings');
+            return {
+                name: settings.get('projection') || 'mercator',
+                center: settings.get('projection_center') || null,
+                rotate: settings.get('projection_rotate') || null,
+                scale: settings.get('projection_scale') || null
+            };
+        },
+
+        /**
+         * Update the projection of geo elements
          *
-         * @see Element.bucketFields
-         * @see this.buildCutArgs()
+         * @param options (optional) the fixed center, rotate and scale (see
+         *      getProjection()), null to unset them
          */
-        hasCutId: function (id, index) {
-            var ret = DynamicElement.prototype.hasCutId.apply(this, arguments);
+        updateProjection: function(name, options) {
+            if (!_.has(this.projections, name)) {
+                throw new Error('Invalid projection: ' + name);
+            }
 
-            if (this.isBucketed(index)) {
-                var dimensionId = this._getField(index).get('id');
-                ret = ret && (_.indexOf(this.dataset.cut[dimensionId], id) % 2 === 0);
+            var settings = this.get('settings');
+            settings.set('projection', name);
+            _.each(['center', 'rotate', 'scale'], function(option) {
+                if (options && _.has(options, option)) {
+                    settings.set('projection_' + option, options[option]);
+                }
+            });
+            this.ready();
+        },
+
+        /**
+         * Get the mode of geo elements: "choropleth" maps colour the geo
+         * dimension's features, "symbols" maps show circles sized by the
+         * measure (see getSymbols())
+         */
+        getMapMode: function() {
+            return this.get('settings').get('map_mode') || 'choropleth';
+        },
+
+        /**
+         * Get the fields positioning the symbols of proportional symbol
+         * maps, as a {latitude, longitude} object of field IDs, or null if
+         * the symbols are on the centroids of the geo dimension's features
+         */
+        getCoordinateFields: function() {
+            var settings = this.get('settings');
+            if (this.get('type') !== 'geo' || this.getMapMode() !== 'symbols' ||
+                    !settings.get('latitude') || !settings.get('longitude')) {
+                return null;
+            }
+            return settings.pick('latitude', 'longitude');
+        },
+
+        /**
+         * Update the mode of geo elements
+         *
+         * @param coordinates (optional) the {latitude, longitude} fields IDs of
+         *      proportional symbol maps (see getCoordinateFields()), null to
+         *      use the centroids of the geo dimension's features
+         */
+        updateMapMode: function(mode, coordinates) {
+            if (!_.has(this.mapModes, mode)) {
+                throw new Error('Invalid map mode: ' + mode);
+            }
+
+            var settings = this.get('settings');
+            if (_.isNull(coordinates)) {
+                settings.unset('latitude').unset('longitude');
+            } else if (!_.isUndefined(coordinates)) {
+                _.each(_.pick(coordinates, 'latitude', 'longitude'), function(id) {
+                    var field = this.dataset.fields.get(id);
+                    if (!field || !_.contains(this.coordinateFields, field.get('type'))) {
+                        throw new Error('Invalid coordinate field: ' + id);
+                    }
+                }, this);
+                settings.set(_.pick(coordinates, 'latitude', 'longitude'));
             }
-            return ret;
+
+            settings.set('map_mode', mode);
+            this.resetConnections();
+        },
+
+        /**
+         * Get the observations shown by proportional symbol maps. If they're
+         * positioned by coordinate fields (see getCoordinateFields()), the
+         * observations have the [longitude, latitude] "coordinates" of their
+         * value, and the values without coordinates are skipped.
+         */
+        getSymbols: function(type) {
+            var observations = this.getObservations(null, type),
+                fields = this.getCoordinateFields();
+
+            if (_.isNull(fields)) {
+                return observations;
+            }
+
+            var coordinates = _.object(_.map(_.keys(fields), function(axis) {
+                return [axis, _.object(_.map(this._getConnection('observations', axis).getData(), function(d) {
+                    return [d.id, d.total];
+                }))];
+            }, this));
+
+            return _.chain(observations)
+                .filter(function(d) {
+                    return _.isFinite(coordinates.longitude[d.id]) && _.isFinite(coordinates.latitude[d.id]);
+                })
+                .map(function(d) {
+                    return _.extend({}, d, {coordinates: [coordinates.longitude[d.id], coordinates.latitude[d.id]]});
+                })
+                .value();
+        },
+
+        /**
+         * Combine the totals of several values (e.g. a cluster of symbols),
+         * or get null if the element's aggregation can't be combined
+         */
+        combineTotals: function(totals) {
+            return this._getConnection('observations').getOtherTotal(totals);
+        },
+
+        /**
+         * Cut on several values (e.g. a cluster of symbols), or remove the
+         * cut if they're all cut already
+         */
+        cutValues: function(ids) {
+            if (this.get('settings').get('interactive') === false) {
+                return false;
+            }
+
+            if (cuts.operator(this.getCut()) === 'in' && _.every(ids, function(id) { return this.hasCutId(id); }, this)) {
+                this.removeCut();
+            } else {
+                this.addCut(ids);
+            }
+            return true;
+        },
+
+        /**
+         * Get the name of the object of the geo dimension's TopoJSON to map
+         */
+        getTopoJSONObject: function() {
+            return this.get('settings').get('topojson_object') || 'data';
         }
 
     });
@@ -21,21 +21,20 @@ function (Backbone, _, DynamicElement) {
             }
 
             // Get connection model
-            this._connection = this.dataset.pool.getConnection({
-                type: 'observations',
-                measure: this.get('settings').get('measure'),
-                aggregation: this.get('settings').get('aggregation')
-            });
+            this._connection = this.dataset.pool.getConnection(_.extend({
+                type: 'observations'
+            }, this.getMeasureOptions()));
 
-            // Bind to sync event
+            // Bind to sync and error events
             this.listenTo(this._connection, 'connection:sync', this._onSync);
+            this.listenTo(this._connection, 'connection:error', this._onError);
         },
 
         getConnections: function () {
             if (_.isUndefined(this._connection)) {
                 return [];
             }
-            return [this.connection];
+            return [this._connection];
         },
 
         removeConnections: function () {
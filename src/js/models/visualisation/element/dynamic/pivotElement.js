@@ -0,0 +1,195 @@
+define(['backbone', 'underscore', './dimensionalElement'],
+function (Backbone, _, DimensionalElement) {
+    'use strict';
+
+    /**
+     * Element cross-tabulating its measure by two dimensions (rows and
+     * columns), used by pivot tables and heatmaps.
+     * On top of the connections of a DimensionalElement (whose observations
+     * give the rows and columns totals) the element is related to:
+     *   - a cross-tabulated observations connection, for the table's cells
+     *   - an observations connection without dimension, for the grand total
+     *
+     * Calculated measures can't be cross-tabulated.
+     */
+    var PivotElement = DimensionalElement.extend({
+
+        initConnections: function() {
+            if (this._connections) {
+                return;
+            }
+
+            // Report the error of a calculated measure (e.g. in settings saved
+            // with one) rather than fetching wrong cells
+            var error = this.getMeasureError();
+            if (error) {
+                _.defer(_.bind(this._onError, this, null, error));
+                return;
+            }
+
+            DimensionalElement.prototype.initConnections.apply(this, arguments);
+
+            var rows = this.dimensions.at(0),
+                columns = this.dimensions.at(1),
+                opts = this.getMeasureOptions();
+
+            // Cells
+            this._initConnection('observations', _.extend({
+                dimension: rows.get('field'),
+                bucket: rows.get('bucket'),
+                bucket_interval: rows.get('bucket_interval'),
+                column_dimension: columns.get('field'),
+                column_bucket: columns.get('bucket'),
+                column_bucket_interval: columns.get('bucket_interval')
+            }, opts), 'cells');
+
+            // Grand total
+            this._initConnection('observations', opts, 'total');
+        },
+
+        /**
+         * Get the error of a calculated main measure, which can't be
+         * cross-tabulated, or null
+         */
+        getMeasureError: function() {
+            if (this.isCalculated()) {
+                return {status: null, statusText: 'Calculated measures can\'t be cross-tabulated'};
+            }
+            return null;
+        },
+
+        /**
+         * Override DynamicElement.getError()
+         */
+        getError: function() {
+            return this.getMeasureError() || DimensionalElement.prototype.getError.apply(this, arguments);
+        },
+
+        /**
+         * Override DynamicElement.retry(): a calculated measure's error can't
+         * be fixed by fetching again
+         */
+        retry: function() {
+            var error = this.getMeasureError();
+            if (error) {
+                _.defer(_.bind(this._onError, this, null, error));
+            } else {
+                DimensionalElement.prototype.retry.apply(this, arguments);
+            }
+        },
+
+        /**
+         * Override DynamicElement.updateMeasure()
+         */
+        updateMeasure: function(value) {
+            if (value.split(':')[0] === 'calculated') {
+                throw new Error('Calculated measures can\'t be cross-tabulated');
+            }
+            DimensionalElement.prototype.updateMeasure.apply(this, arguments);
+        },
+
+        /**
+         * Get the label of the rows (index 0) or columns (index 1) dimension
+         */
+        getDimensionLabel: function(index) {
+            return this._getField(index).get('label');
+        },
+
+        /**
+         * Get the totals of a dimension's values (0 for the rows, 1 for the
+         * columns)
+         */
+        getPivotTotals: function(index, type) {
+            return this.getObservations(this._getField(index).get('id'), type);
+        },
+
+        /**
+         * Get the value of a cell (undefined if there's no observation)
+         */
+        getPivotValue: function(rowId, columnId, type) {
+            var cell = this._getConnection('observations', 'cells').getValue(rowId, columnId, this.getMeasureFormatType(type));
+            if (cell) {
+                return cell.total;
+            }
+        },
+
+        /**
+         * Get all the cells with a value, as {row, column, total} objects
+         */
+        getPivotCells: function(type) {
+            var conn = this._getConnection('observations', 'cells'),
+                column = conn.get('column_dimension');
+
+            return _.flatten(_.map(conn.getData(this.getMeasureFormatType(type)), function(row) {
+                return _.map(row[column], function(d) {
+                    return {row: row.id, column: d.id, total: d.total};
+                });
+            }), true);
+        },
+
+        /**
+         * Get the grand total
+         */
+        getPivotTotal: function(type) {
+            return (this.getMeasureFormatType(type) === 'percentage') ? 1 : this._getConnection('observations', 'total').getData();
+        },
+
+        /**
+         * Handle a row or column header click: cut on the dimension value
+         *
+         * @param index 0 for the rows dimension, 1 for the columns one
+         * @param exclude true to toggle the exclusion of the value from the
+         *      cut rather than cut on it (e.g. on alt-click)
+         */
+        featureClick: function(d, index, exclude) {
+            if (this.get('settings').get('interactive') === false) {
+                return false;
+            }
+
+            index = index || 0;
+            if (exclude === true && !this.isBucketed(index)) {
+                this.toggleExclusion(d.id, index);
+            } else if (this.isCutOn(d.id, index)) {
+                this.removeCut(index);
+            } else {
+                this.addCut(this.buildCutArgs(d.id, index), index);
+            }
+
+            return true;
+        },
+
+        /**
+         * Handle a cell click: cut on both the row and column values at
+         * once (or remove the cut if it's already on the cell)
+         */
+        cellClick: function(rowId, columnId) {
+            if (this.get('settings').get('interactive') === false) {
+                return false;
+            }
+
+            if (this.isCellCut(rowId, columnId)) {
+                this.removeCut();
+            } else {
+                this.trigger('addCut', _.object(
+                    [this._getField(0).get('id'), this._getField(1).get('id')],
+                    [this.buildCutArgs(rowId, 0), this.buildCutArgs(columnId, 1)]
+                ));
+            }
+
+            return true;
+        },
+
+        /**
+         * Check if the cut includes a cell on both dimensions
+         */
+        isCellCut: function(rowId, columnId) {
+            return _.every([rowId, columnId], function(id, index) {
+                return this.isCutOn(id, index);
+            }, this);
+        }
+
+    });
+
+    return PivotElement;
+
+});
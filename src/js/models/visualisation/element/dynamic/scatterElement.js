@@ -0,0 +1,83 @@
+define(['backbone', 'underscore', './dimensionalElement'],
+function (Backbone, _, DimensionalElement) {
+    'use strict';
+
+    /**
+     * Element comparing up to three measures across its dimension, used by
+     * scatter plots: each dimension value is a point whose x and y are the
+     * first two measures (see getMeasures()) and whose size is the third
+     * one, if any.
+     *
+     * Until a second measure is added, the main measure is used for both
+     * axes.
+     */
+    var ScatterElement = DimensionalElement.extend({
+
+        // Point attributes given by the element's measures, in order
+        scatterAxes: ['x', 'y', 'size'],
+
+        /**
+         * Override DynamicElement.addMeasure()
+         */
+        addMeasure: function() {
+            if (this.getMeasures().length >= this.scatterAxes.length) {
+                throw new Error('Scatter plots can\'t show more than ' + this.scatterAxes.length + ' measures');
+            }
+            DimensionalElement.prototype.addMeasure.apply(this, arguments);
+        },
+
+        /**
+         * Get the index of the measure of a point attribute ("x", "y" or
+         * "size"), or -1 if there's no measure for it
+         */
+        getAxisMeasureIndex: function(axis) {
+            var index = _.indexOf(this.scatterAxes, axis),
+                num = this.getMeasures().length;
+
+            if (axis === 'y' && num < 2) {
+                return 0;
+            }
+            return (index < num) ? index : -1;
+        },
+
+        /**
+         * Get the label of the measure of a point attribute
+         */
+        getAxisLabel: function(axis) {
+            var index = this.getAxisMeasureIndex(axis);
+            return (index < 0) ? '' : this.getMeasures()[index].measure_label;
+        },
+
+        /**
+         * Get the points, as {id, x, y, size} objects (size is null if the
+         * element has no size measure). Dimension values which are missing
+         * a value for one of the measures are skipped.
+         */
+        getPoints: function(type) {
+            var id = this._getField().get('id'),
+                format = this.getMeasureFormatType(type),
+                values = _.map(this.getMeasures(), function(measure, index) {
+                    var conn = this._getConnection('observations', this._getMeasureConnectionId(index, id));
+                    return _.object(_.map(conn.getData(format), function(d) {
+                        return [d.id, d.total];
+                    }));
+                }, this),
+                axes = _.map(this.scatterAxes, this.getAxisMeasureIndex, this);
+
+            return _.chain(this.getObservations(id, type))
+                .map(function(d) {
+                    return _.object(['id'].concat(this.scatterAxes), [d.id].concat(_.map(axes, function(index) {
+                        return (index < 0) ? null : values[index][d.id];
+                    })));
+                }, this)
+                .reject(function(point) {
+                    return _.isUndefined(point.x) || _.isUndefined(point.y) || _.isUndefined(point.size);
+                })
+                .value();
+        }
+
+    });
+
+    return ScatterElement;
+
+});
@@ -1,5 +1,5 @@
-define(['backbone', 'underscore', 'jquery', 'd3', '../../../lib/format', '../element', '../../dataset/field', '../../../collections/elementDimensions'],
-function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection) {
+define(['backbone', 'underscore', 'jquery', 'd3', '../../../lib/format', '../../../lib/cut', '../../../lib/classification', '../element', '../../dataset/field', '../../../collections/elementDimensions'],
+function (Backbone, _, $, d3, format, cuts, classification, Element, Field, ElementDimensionCollection) {
     'use strict';
 
     /**
@@ -17,6 +17,8 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
      *
      *  - listen to the 'sync' event (triggered by any connection) in order to invoke
      *  this.ready() when appropriate.
+     *  - listen to the 'connection:error' event (triggered by any connection)
+     *  and invoke this._onError()
      *
      * Derived classes are supposed to store their connections in either
      * this._connections or this._connection which have both to be meant as
@@ -27,10 +29,13 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
 
         // Allowed element types mapped by their dimensionality
         elementTypes: {
-            monoDimensional:  ['bar', 'bubble', 'column', 'donut', 'line', 'table', 'geo'],
-            multiDimensional: ['summary']
+            monoDimensional:  ['bar', 'bubble', 'column', 'donut', 'line', 'scatter', 'table', 'geo'],
+            multiDimensional: ['summary', 'pivot', 'heatmap']
         },
 
+        // Element types cross-tabulating two dimensions (see PivotElement)
+        crossTabTypes: ['pivot', 'heatmap'],
+
         // Field types that can be used with each element type
         allowedFields: {
             geo         : function(f) { return (f.get('type') === 'geo'); },
@@ -47,9 +52,32 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
         // Measure aggregation types
         aggregationTypes: [
             {name: 'sum', label: 'Total'},
-            {name: 'mean', label: 'Average'}
+            {name: 'mean', label: 'Average'},
+            {name: 'min', label: 'Minimum'},
+            {name: 'max', label: 'Maximum'},
+            {name: 'count_distinct', label: 'Distinct count of'},
+            {name: 'median', label: 'Median'},
+            {name: 'variance', label: 'Variance of'},
+            {name: 'stddev', label: 'Standard deviation of'}
         ],
 
+        // Element types which can show several measures (see getMeasures())
+        multiMeasureTypes: ['bar', 'column', 'line', 'scatter'],
+
+        // Layouts of the measures of bar and column charts
+        measureLayouts: {
+            grouped: 'Grouped',
+            stacked: 'Stacked'
+        },
+
+        // Element types whose observations can be limited to the top-N
+        // values (see getTop())
+        topTypes: ['bar', 'bubble', 'donut'],
+
+        // Default number of classes of choropleth charts (see
+        // getClassification())
+        defaultClasses: 7,
+
         // Field types whose values can be bucketed. We need to keep track of
         // them because for those fields cut values should be defined by ranges
         // of values
@@ -58,6 +86,7 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
         // Allowed measure formats for different element types
         measureFormats: {
             donut: ['tooltip'],
+            pivot: ['tooltip'],
             summary: ['tooltip'],
             table: ['tooltip'],
             default: ['scale', 'tooltip']
@@ -108,6 +137,55 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             return data;
         },
 
+        /**
+         * Get the element's sorting and bucketing, omitting unset values
+         */
+        getLinkState: function() {
+            var compact = function(attrs) {
+                return _.omit(attrs, function(value) {
+                    return _.isUndefined(value) || _.isNull(value);
+                });
+            };
+
+            return compact({
+                sort: this.get('settings').get('sort'),
+                sort_direction: this.get('settings').get('sort_direction'),
+                dimensions: this.dimensions.map(function(dimension) {
+                    return compact(_.pick(dimension.attributes, 'bucket', 'bucket_interval'));
+                })
+            });
+        },
+
+        /**
+         * Update the element's sorting and bucketing from the representation
+         * returned by getLinkState()
+         */
+        setLinkState: function(state) {
+            var previous = this.getLinkState();
+            if (_.isEqual(previous, state)) {
+                return;
+            }
+
+            this.get('settings').set({
+                sort: state.sort,
+                sort_direction: state.sort_direction
+            });
+
+            _.each(state.dimensions, function(attrs, index) {
+                var dimension = this.dimensions.at(index);
+                if (dimension) {
+                    dimension.set(_.defaults({}, attrs, {bucket: null, bucket_interval: null}));
+                }
+            }, this);
+
+            // Only re-fetch data if the bucketing has changed
+            if (_.isEqual(previous.dimensions, this.getLinkState().dimensions)) {
+                this.ready();
+            } else {
+                this.resetConnections();
+            }
+        },
+
         /**
          * Re-initialise element connections.
          */
@@ -142,6 +220,49 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             return this.dataset.fields.get(this.get('settings').get('measure'));
         },
 
+        /**
+         * Get the element's measures, as a list of {measure, aggregation,
+         * measure_label} objects
+         *
+         * The first one is the element's main measure (the "measure",
+         * "aggregation" and "measure_label" settings), which is used for
+         * sorting, cutting, etc. Elements whose type supports it can have
+         * more measures in the "measures" setting.
+         */
+        getMeasures: function() {
+            var settings = this.get('settings'),
+                measures = [settings.pick('measure', 'aggregation', 'measure_label')];
+
+            if (_.contains(this.multiMeasureTypes, this.get('type')) && settings.has('measures')) {
+                measures = measures.concat(_.rest(settings.get('measures')));
+            }
+            return measures;
+        },
+
+        /**
+         * Check if a measure (the main one by default) is a calculated
+         * measure (see Visualisation.getCalculatedMeasure())
+         */
+        isCalculated: function(index) {
+            return (this.getMeasures()[index || 0].aggregation === 'calculated');
+        },
+
+        /**
+         * Get the connection options for a measure (the main one by default)
+         */
+        getMeasureOptions: function(index) {
+            var measure = this.getMeasures()[index || 0];
+            if (this.isCalculated(index)) {
+                return {
+                    expression: this.visualisation.getCalculatedMeasure(measure.measure).expression
+                };
+            }
+            return {
+                measure: measure.measure,
+                aggregation: measure.aggregation
+            };
+        },
+
         /**
          * Emit an event that the element is ready to render
          */
@@ -151,14 +272,58 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             }
         },
 
+        /**
+         * Handle connection error event: emit an event that the element
+         * can't be rendered
+         */
+        _onError: function(conn, error) {
+            this.trigger('element:error', this, error);
+        },
+
+        /**
+         * Get the error of the first failed connection (null if none failed)
+         */
+        getError: function() {
+            var conn = _.find(this.getConnections(), function(conn) {
+                return !_.isNull(conn.getError());
+            });
+            return (conn) ? conn.getError() : null;
+        },
+
+        /**
+         * Re-fetch the failed connections
+         */
+        retry: function() {
+            _.each(this.getConnections(), function(conn) {
+                if (!_.isNull(conn.getError())) {
+                    conn.retry();
+                }
+            });
+        },
+
         /**
          * Handle element feature (bar/point/etc) click
+         *
+         * @param exclude true to toggle the exclusion of the feature's value
+         *      from the cut rather than cut on it (e.g. on alt-click)
          */
-        featureClick: function(d, i) {
+        featureClick: function(d, i, exclude) {
             if (this.get('settings').get('interactive') === false) {
                 return false;
             }
 
+            // "Other" observation of a top-N: cut on everything but the values
+            // shown (or remove that cut)
+            if (this.isOther(d.id)) {
+                var exclusion = {exclude: this.getTopIds()};
+                if (cuts.key({id: this.getCut()}) === cuts.key({id: exclusion})) {
+                    this.removeCut();
+                } else {
+                    this.addCut(exclusion);
+                }
+                return true;
+            }
+
             // Check for a valid feature ID
             var observation = this.getObservationById(d.id);
             if (!observation) {
@@ -168,9 +333,16 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             var id = this._getField().get('id'),
                 hierarchy = this.dataset.getDimensionHierarchy(id);
 
+            // Dimension with a hierarchy defined by the visualisation: drill
+            // down to the next level, if any
+            if (!hierarchy && exclude !== true && this.canDrillDown()) {
+                this.drillDown(d.id);
+
             // Non-hierarchical dimension
-            if (!hierarchy) {
-                if (this.hasCutId(d.id)) {
+            } else if (!hierarchy) {
+                if (exclude === true && !this.isBucketed()) {
+                    this.toggleExclusion(d.id);
+                } else if (this.isCutOn(d.id)) {
                     this.removeCut();
                 } else {
                     this.addCut(this.buildCutArgs(d.id));
@@ -190,6 +362,157 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             return true;
         },
 
+        /**
+         * Check whether a click on a value should remove the cut on a
+         * dimension: the value is selected by the cut, which isn't an
+         * exclusion (values, and ranges on bucketed dimensions)
+         */
+        isCutOn: function(id, index) {
+            return this.hasCutId(id, index) && cuts.operator(this.getCut(index)) !== 'exclude';
+        },
+
+        /**
+         * Get the hierarchy used by one of the element's dimensions (see
+         * Visualisation.getHierarchies()), or null
+         */
+        getHierarchy: function(index) {
+            var id = this.dimensions.at(index || 0).get('hierarchy');
+            return _.findWhere(this.visualisation.getHierarchies(), {id: id}) || null;
+        },
+
+        /**
+         * Get the index of the current level of a dimension's hierarchy
+         */
+        getHierarchyLevel: function(index) {
+            return (this.dimensions.at(index || 0).get('drill_parents') || []).length;
+        },
+
+        /**
+         * Use a hierarchy for one of the element's dimensions, starting from
+         * its highest level (null to stop using one)
+         */
+        updateHierarchy: function(id, index) {
+            var dimension = this.dimensions.at(index || 0);
+            if (_.isNull(id)) {
+                dimension.unset('hierarchy').unset('drill_parents');
+                this.resetConnections();
+                return;
+            }
+
+            var level = this.visualisation.getHierarchy(id).levels[0];
+            dimension.set({hierarchy: id, drill_parents: []});
+            this.updateDimension(level.field, index, _.pick(level, 'bucket', 'bucket_interval'));
+        },
+
+        /**
+         * Check if a dimension's hierarchy has a level below the current one
+         */
+        canDrillDown: function(index) {
+            var hierarchy = this.getHierarchy(index);
+            return (!_.isNull(hierarchy) && this.getHierarchyLevel(index) < hierarchy.levels.length - 1);
+        },
+
+        /**
+         * Drill a dimension down its hierarchy: cut on a value of the current
+         * level and show the next level
+         */
+        drillDown: function(id, index) {
+            var dimension = this.dimensions.at(index || 0),
+                parent = this.buildCutArgs(id, index),
+                level = this.getHierarchy(index).levels[this.getHierarchyLevel(index) + 1];
+
+            dimension.set('drill_parents', (dimension.get('drill_parents') || []).concat([parent]));
+            this.addCut(parent, index);
+            this.updateDimension(level.field, index, _.pick(level, 'bucket', 'bucket_interval'));
+        },
+
+        /**
+         * Get the filters (functions of an observation ID) of the hierarchy
+         * levels drilled down from whose field is the current level's (e.g.
+         * the year of a date hierarchy's months): observations aren't
+         * filtered by the cut on their own dimension (see
+         * Dataset.updateConnections())
+         */
+        _getDrillFilters: function(index) {
+            var hierarchy = this.getHierarchy(index),
+                field = this.dimensions.at(index || 0).get('field');
+
+            if (_.isNull(hierarchy)) {
+                return [];
+            }
+            return _.compact(_.map(this.dimensions.at(index || 0).get('drill_parents'), function(value, i) {
+                var level = hierarchy.levels[i];
+                if (level.field !== field) {
+                    return null;
+                }
+
+                // The cut on the last bucket of a level only has its lower
+                // bound (see DimensionalElement.buildCutArgs())
+                if ((level.bucket || level.bucket_interval) && cuts.operator(value) === 'in') {
+                    return function(id) { return id >= value[0]; };
+                }
+                return function(id) { return cuts.matches(value, id); };
+            }));
+        },
+
+        /**
+         * Get the breadcrumb of a hierarchical dimension (empty if the
+         * dimension isn't hierarchical), as {level, label} objects from the
+         * highest level down to the current one
+         */
+        getDrillPath: function(index) {
+            var field = this._getField(index),
+                hierarchy = this.getHierarchy(index);
+
+            // Hierarchy defined by the visualisation
+            if (hierarchy) {
+                return _.map(hierarchy.levels.slice(0, this.getHierarchyLevel(index) + 1), function(level, i) {
+                    return {level: i, label: level.label || this.dataset.fields.get(level.field).get('label')};
+                }, this);
+            }
+
+            return _.map(this.dataset.getHierarchyPath(field.get('id')), function(step) {
+                return {
+                    level: step.level,
+                    label: (_.isNull(step.parent)) ? field.get('label') : this.getLabel({id: step.parent}, index).label
+                };
+            }, this);
+        },
+
+        /**
+         * Drill a hierarchical dimension up to one of its ancestor levels
+         */
+        drillUp: function(level, index) {
+            if (this.get('settings').get('interactive') === false) {
+                return false;
+            }
+
+            var hierarchy = this.getHierarchy(index);
+            if (!hierarchy) {
+                this.dataset.drillUp(this._getField(index).get('id'), level);
+                return true;
+            }
+
+            // Hierarchy defined by the visualisation: remove the cuts on the
+            // deeper levels and restore the one on the level's parent
+            var dimension = this.dimensions.at(index || 0),
+                parents = dimension.get('drill_parents') || [],
+                target = hierarchy.levels[level],
+                cut = {};
+
+            _.each(hierarchy.levels.slice(level, parents.length + 1), function(l) {
+                cut[l.field] = null;
+            });
+            if (level > 0) {
+                cut[hierarchy.levels[level - 1].field] = parents[level - 1];
+            }
+
+            dimension.set('drill_parents', parents.slice(0, level));
+            this.trigger('addCut', cut);
+            this.updateDimension(target.field, index, _.pick(target, 'bucket', 'bucket_interval'));
+            return true;
+        },
+
         /**
          * Update the element's dimension(s)
          */
@@ -224,9 +547,11 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
                 // Rebuild the element's dimensions collection only if the
                 // current one is not appropriate for the element's type
                 // (i.e. we are switching between mono and
-                // multi-dimensional)
+                // multi-dimensional, or cross-tabulating elements don't have
+                // exactly two dimensions)
                 if ((multidimensional && this.dimensions.length === 1) ||
-                    (!multidimensional && this.dimensions.length > 1)) {
+                    (!multidimensional && this.dimensions.length > 1) ||
+                    (_.contains(this.crossTabTypes, this.get('type')) && this.dimensions.length !== 2)) {
                     this.dimensions.reset(this.visualisation.defaultElementDimensions(this.get('type')));
                     this.removeCut();
                 }
@@ -235,28 +560,179 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
         },
 
         /**
-         * Update the element's measure and aggregation
+         * Update one of the element's measures (the main one by default)
+         *
+         * @param value
+         *      "aggregation:field", "rows" or "calculated:id" for a
+         *      calculated measure
+         */
+        updateMeasure: function(value, index) {
+            var measures = this.getMeasures();
+            measures[index || 0] = this._parseMeasure(value);
+            this._setMeasures(measures);
+        },
+
+        /**
+         * Add a measure to the element (see updateMeasure() for the value
+         * format)
+         */
+        addMeasure: function(value) {
+            if (!_.contains(this.multiMeasureTypes, this.get('type'))) {
+                throw new Error('Element type "' + this.get('type') + '" can\'t show several measures');
+            }
+            this._setMeasures(this.getMeasures().concat([this._parseMeasure(value)]));
+        },
+
+        /**
+         * Remove one of the element's measures. The main measure can't be
+         * removed, but it's replaced by the next one, if any.
+         */
+        removeMeasure: function(index) {
+            var measures = this.getMeasures();
+            if (measures.length > 1) {
+                measures.splice(index, 1);
+                this._setMeasures(measures);
+            }
+        },
+
+        /**
+         * Update the layout of the measures of bar and column charts
+         */
+        updateMeasureLayout: function(layout) {
+            if (!_.has(this.measureLayouts, layout)) {
+                throw new Error('Invalid measure layout: ' + layout);
+            }
+            this.get('settings').set('measure_layout', layout);
+            this.ready();
+        },
+
+        /**
+         * Get the layout of the measures of bar and column charts
          */
-        updateMeasure: function(value) {
-            // Get measure
+        getMeasureLayout: function() {
+            return this.get('settings').get('measure_layout') || 'grouped';
+        },
+
+        /**
+         * Get how choropleth charts (maps and heatmaps) classify their values:
+         * a {method, classes, midpoint} object (see lib/classification)
+         */
+        getClassification: function() {
+            var settings = this.get('settings');
+            return {
+                method: settings.get('classification') || 'linear',
+                classes: settings.get('classes') || this.defaultClasses,
+                midpoint: settings.get('midpoint') || 0
+            };
+        },
+
+        /**
+         * Update the classification of choropleth charts
+         *
+         * @param classes (optional) the number of classes
+         * @param midpoint (optional) the value the "diverging" method is
+         *      centred on
+         */
+        updateClassification: function(method, classes, midpoint) {
+            if (!_.has(classification.methods, method)) {
+                throw new Error('Invalid classification: ' + method);
+            }
+            if (!_.isUndefined(classes) && (!_.isNumber(classes) || classes < 2)) {
+                throw new Error('Invalid number of classes: ' + classes);
+            }
+
+            var settings = this.get('settings');
+            settings.set('classification', method);
+            if (!_.isUndefined(classes)) {
+                settings.set('classes', classes);
+            }
+            if (!_.isUndefined(midpoint)) {
+                settings.set('midpoint', midpoint);
+            }
+            this.ready();
+        },
+
+        /**
+         * Limit the observations of bar, bubble and donut charts to their
+         * top values by the current sort (null to show all of them)
+         */
+        updateTop: function(top) {
+            if (!_.isNull(top) && (!_.isNumber(top) || top < 1)) {
+                throw new Error('Invalid top-N: ' + top);
+            }
+            this.get('settings').set('top', top);
+            this.ready();
+        },
+
+        /**
+         * Get the number of values the element's observations are limited to
+         * (the others being grouped in an "Other" observation), or null.
+         * Bucketed dimensions aren't limited.
+         */
+        getTop: function() {
+            var top = this.get('settings').get('top');
+            return (top > 0 && _.contains(this.topTypes, this.get('type')) && !this.isBucketed()) ? top : null;
+        },
+
+        /**
+         * Get the IDs of the values shown by a top-N
+         */
+        getTopIds: function() {
+            return _.pluck(_.reject(this.getObservations(), 'other'), 'id');
+        },
+
+        /**
+         * Check if an observation ID is the one of the "Other" observation of
+         * a top-N
+         */
+        isOther: function(id) {
+            var conn = this._getConnection('observations');
+            return (!_.isNull(this.getTop()) && !_.isUndefined(conn) && id === conn.otherId);
+        },
+
+        /**
+         * Get the measure attributes for a measure value (see updateMeasure())
+         */
+        _parseMeasure: function(value) {
             var measure = value.split(':'),
                 field = measure[1],
-
-                // Attributes to update
                 attrs = {
                     measure: null,
                     aggregation: measure[0],
                     measure_label: 'Total count of rows'
                 };
 
-            if (field) {
+            if (attrs.aggregation === 'calculated') {
+                attrs.measure = field;
+                attrs.measure_label = this.visualisation.getCalculatedMeasure(field).label;
+
+            } else if (field) {
                 var aggregationType = _.findWhere(this.aggregationTypes, {name: attrs.aggregation});
+                if (!aggregationType) {
+                    throw new Error('Invalid aggregation: ' + attrs.aggregation);
+                }
                 attrs.measure = field;
                 attrs.measure_label = aggregationType.label +
                     ' ' + this.dataset.fields.get(field).get('label');
             }
 
-            this.get('settings').set(attrs);
+            return attrs;
+        },
+
+        /**
+         * Update the measures settings and the connections
+         */
+        _setMeasures: function(measures) {
+            var settings = this.get('settings');
+
+            // The first measure is the main one
+            settings.set(measures[0]);
+            if (measures.length > 1) {
+                settings.set('measures', measures);
+            } else {
+                settings.unset('measures');
+            }
+
             this.resetConnections();
         },
 
@@ -451,6 +927,11 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
          * Get the specified observation
          */
         getObservationById: function(oid, fid, type) {
+            // The "Other" observation of a top-N only exists in the limited
+            // observations (see getObservations())
+            if (this.isOther(oid) && (!fid || fid === this._getField().get('id'))) {
+                return _.findWhere(this.getObservations(fid, type), {id: oid});
+            }
             return this._getConnection('observations', fid).getValueById(oid, this.getMeasureFormatType(type));
         },
 
@@ -458,11 +939,24 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
          * Get all observations
          */
         getObservations: function(id, type) {
-            return this._getConnection('observations', id).getData(
-                this.getMeasureFormatType(type),
-                (this.isSortable()) ? this.getSort() : null,
-                this.get('settings').get('sort_direction')
-            );
+            var main = (!id || id === this._getField().get('id')),
+                data = this._getConnection('observations', id).getData(
+                    this.getMeasureFormatType(type),
+                    (this.isSortable()) ? this.getSort() : null,
+                    this.get('settings').get('sort_direction'),
+                    (main) ? this.getTop() : null
+                ),
+                filters = (main) ? this._getDrillFilters() : [];
+
+            // Only keep the values within the drilled down hierarchy levels
+            if (filters.length > 0) {
+                data = _.filter(data, function(d) {
+                    return _.every(filters, function(filter) {
+                        return filter(d.id);
+                    });
+                });
+            }
+            return data;
         },
 
         /**
@@ -472,6 +966,10 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             var field = this._getField(index),
                 dimension = this.dimensions.at(index || 0);
 
+            if (this.isOther(value.id)) {
+                return _.extend(value, {label: 'Other', short_label: 'Other'});
+            }
+
             switch(field.get('type')) {
                 case 'date':
                     var interval = dimension.get('bucket_interval');
@@ -542,14 +1040,14 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             if (!(type in this.allowedFields)) {
                 type = 'default';
             }
-            return this.dataset.fields.filter(this.allowedFields[type]);
+            return this.dataset.fields.filter(this.allowedFields[type], this);
         },
 
         /**
-         * Get label for this element's measure
+         * Get label for this element's measure (or measures)
          */
         getMeasureLabel: function () {
-            return this.get('settings').get('measure_label');
+            return _.pluck(this.getMeasures(), 'measure_label').join(', ');
         },
 
         /**
@@ -648,6 +1146,21 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
             }
         },
 
+        /**
+         * Exclude a value from the cut on the specified dimension, or include
+         * it again if it's already excluded
+         */
+        toggleExclusion: function (value, index) {
+            var id = this._getField(index).get('id'),
+                exclusion = {exclude: [value]};
+
+            if (cuts.operator(this.getCut(index)) === 'exclude' && !this.hasCutId(value, index)) {
+                this.trigger('removeCut', [id], [exclusion]);
+            } else {
+                this.trigger('addCut', _.object([id], [exclusion]), true);
+            }
+        },
+
         /**
          * Cut proxy methods
          */
@@ -678,17 +1191,19 @@ function (Backbone, _, $, d3, format, Element, Field, ElementDimensionCollection
          * Checks whether the provided dimension field can be bucketed if
          * "attached" as a dimension for this element.
          *
-         * Note: bucketing is supported only on charts which at the moment
-         * are all mono-dimensional
+         * Note: bucketing is supported only on charts, which are all
+         * mono-dimensional, and on cross-tabulating elements
          *
          * @param dimensionField Field model related to the element's
          *   dimension
          *
-         * @returns true if this element is mono-dimensional and dimension
-         *   refers to a field whose values can be bucketed
+         * @returns true if this element is mono-dimensional (or
+         *   cross-tabulating) and dimension refers to a field whose values
+         *   can be bucketed
          */
         canBeBucketed: function (dimensionField) {
-            return (_.contains(this.elementTypes.monoDimensional, this.get('type')) &&
+            var type = this.get('type');
+            return ((_.contains(this.elementTypes.monoDimensional, type) || _.contains(this.crossTabTypes, type)) &&
             _.contains(this.bucketFields, dimensionField.get('type'))
             );
         },
@@ -5,9 +5,11 @@ define(['backbone', 'underscore'],
     var Style = Backbone.Model.extend({
 
         url: function() {
-            return '/api/datasets/' + this.dataset.get('id') +
-                   '/visualisations/' + this.visualisation.get('id') +
-                   '/styles/' + this.get('id');
+            return this.dataset.source.styleUrl(this);
+        },
+
+        sync: function(method, model, options) {
+            return this.dataset.source.sync(method, model, options);
         },
 
         initialize: function(options) {
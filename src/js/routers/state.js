@@ -0,0 +1,101 @@
+define(['backbone', 'underscore'],
+    function(Backbone, _) {
+    'use strict';
+
+    /**
+     * Keeps the visualisation state (dataset cut and elements' sorting and
+     * bucketing) in the location hash, so that it can be linked to and
+     * navigated with the browser's back/forward buttons
+     */
+    var StateRouter = Backbone.Router.extend({
+
+        routes: {
+            '': 'restoreInitial',
+            'state/:state': 'restoreEncoded'
+        },
+
+        // Delay (in ms) before the location hash is updated
+        updateDelay: 200,
+
+        initialize: function(options) {
+            this.dataset = options.dataset;
+
+            // Update the location hash when the visualisation state changes
+            this.update = _.debounce(_.bind(this.update, this), this.updateDelay);
+            this.listenTo(this.dataset, 'cut:change cut:undo cut:redo cut:restore', this.update);
+            this.listenTo(this.dataset.visualisation.elements, 'element:ready', this.update);
+        },
+
+        /**
+         * Start handling location hash changes and restore the state in the
+         * current location hash (if any)
+         */
+        start: function() {
+            this._initialState = this._state = this.getState();
+            if (!Backbone.History.started) {
+                Backbone.history.start();
+            } else {
+                Backbone.history.loadUrl();
+            }
+        },
+
+        /**
+         * Get the current visualisation state
+         */
+        getState: function() {
+            return {
+                cut: this.dataset.getCut(),
+                elements: this.dataset.visualisation.elements.getLinkState()
+            };
+        },
+
+        /**
+         * Restore a visualisation state returned by getState()
+         */
+        restore: function(state) {
+            this._state = state;
+            // Navigating the browser history isn't a cut change to undo
+            this.dataset.setCut(state.cut || {}, {silent: true});
+            this.dataset.visualisation.elements.setLinkState(state.elements || {});
+        },
+
+        /**
+         * Route handler: restore the state the visualisation was loaded with
+         */
+        restoreInitial: function() {
+            this.restore(this._initialState);
+        },
+
+        /**
+         * Route handler: restore a state serialised by update()
+         */
+        restoreEncoded: function(encoded) {
+            var state;
+            try {
+                state = JSON.parse(encoded);
+            } catch (e) {
+                // Ignore malformed hashes
+                return;
+            }
+            if (_.isObject(state)) {
+                this.restore(state);
+            }
+        },
+
+        /**
+         * Serialise the current state into the location hash, adding a
+         * browser history entry
+         */
+        update: function() {
+            var state = this.getState();
+            if (!_.isEqual(state, this._state)) {
+                this._state = state;
+                this.navigate('state/' + encodeURIComponent(JSON.stringify(state)));
+            }
+        }
+
+    });
+
+    return StateRouter;
+
+});
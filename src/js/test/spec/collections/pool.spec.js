@@ -0,0 +1,195 @@
+define(['backbone', 'underscore', 'jquery', 'models/dataset'], function(Backbone, _, $, Dataset) {
+    /* global describe, beforeEach, afterEach, expect, it, jasmine */
+
+    describe('A connection pool', function() {
+
+        beforeEach(function() {
+            var requests = this.requests = [],
+                server = this.server = {failures: 0};
+
+            // Mock API server: responds asynchronously to observations,
+            // dimensions and batch requests
+            this.ajax = Backbone.ajax;
+            Backbone.ajax = function(options) {
+                var respond = function(url) {
+                        return {
+                            total: 1,
+                            test03: [{id: url, total: 1}],
+                            test04: [{id: url, total: 2}]
+                        };
+                    },
+                    response;
+
+                requests.push(options);
+                options.xhr = $.Deferred().promise({abort: jasmine.createSpy('abort')});
+
+                // Fail the requests made while the server is "down"
+                if (requests.length <= server.failures) {
+                    _.defer(options.error, _.extend(options.xhr, {status: 503, statusText: 'Service Unavailable'}));
+                    return options.xhr;
+                }
+
+                if (/\/batch\/$/.test(options.url)) {
+                    response = _.map(JSON.parse(options.data).queries, respond);
+                } else {
+                    response = respond(options.url);
+                }
+                // Late responses are still delivered after an abort
+                _.defer(options.success, response);
+                return options.xhr;
+            };
+
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                batch_requests: true
+            });
+            this.dataset.fields.set([
+                {id: 'test03', type: 'string'},
+                {id: 'test04', type: 'string'}
+            ]);
+        });
+
+        afterEach(function() {
+            Backbone.ajax = this.ajax;
+        });
+
+        it('should merge connection fetches issued in the same tick', function(done) {
+            var requests = this.requests,
+                pool = this.dataset.pool,
+                conns = [
+                    pool.getConnection({type: 'observations', dimension: 'test03', aggregation: 'sum'}),
+                    pool.getConnection({type: 'observations', dimension: 'test04', aggregation: 'sum'}),
+                    pool.getConnection({type: 'observations', aggregation: 'sum'})
+                ],
+                synced = _.after(conns.length, function() {
+                    expect(requests.length).toEqual(1);
+                    expect(requests[0].url).toEqual('/api/datasets/test01/batch/');
+                    expect(conns[0].getData()[0].id).toEqual(conns[0].url());
+                    expect(conns[1].getData()[0].total).toEqual(2);
+                    expect(conns[2].getData()).toEqual(1);
+                    done();
+                });
+
+            _.each(conns, function(conn) {
+                conn.once('connection:sync', synced);
+            });
+        });
+
+        it('should only merge connection fetches when enabled', function(done) {
+            var requests = this.requests,
+                pool = new Dataset({id: 'test01', visualisation_id: 'test02'}).pool,
+                conns = [
+                    pool.getConnection({type: 'observations', aggregation: 'sum'}),
+                    pool.getConnection({type: 'observations', aggregation: 'max'})
+                ],
+                synced = _.after(conns.length, function() {
+                    expect(_.pluck(requests, 'url')).toEqual(_.invoke(conns, 'url'));
+                    done();
+                });
+
+            _.each(conns, function(conn) {
+                conn.once('connection:sync', synced);
+            });
+        });
+
+        it('should send a single fetch without batching', function(done) {
+            var requests = this.requests,
+                conn = this.dataset.pool.getConnection({type: 'observations', dimension: 'test03', aggregation: 'sum'});
+
+            conn.once('connection:sync', function() {
+                expect(requests.length).toEqual(1);
+                expect(requests[0].url).toEqual(conn.url());
+                done();
+            });
+        });
+
+        it('should only handle the response to the latest fetch', function(done) {
+            var requests = this.requests,
+                dataset = this.dataset,
+                conn = dataset.pool.getConnection({type: 'observations', dimension: 'test03', aggregation: 'sum'}),
+                syncs = 0;
+
+            conn.on('connection:sync', function() {
+                syncs++;
+            });
+
+            // Change the cut once the first request has been sent
+            _.defer(function() {
+                dataset.addCut({test04: 'test05'});
+                var staleXhr = requests[0].xhr;
+
+                _.delay(function() {
+                    expect(requests.length).toEqual(2);
+                    expect(staleXhr.abort).toHaveBeenCalled();
+                    expect(syncs).toEqual(1);
+                    expect(conn.syncedCut).toEqual({test04: ['test05']});
+                    expect(conn.getData()[0].id).toEqual(requests[1].url);
+                    done();
+                }, 50);
+            });
+        });
+
+        it('should answer fetches for a recent cut from the cache', function(done) {
+            var requests = this.requests,
+                dataset = this.dataset,
+                conn = dataset.pool.getConnection({type: 'observations', dimension: 'test03', aggregation: 'sum'});
+
+            conn.once('connection:sync', function() {
+                dataset.addCut({test04: ['test05', 'test06']});
+
+                conn.once('connection:sync', function() {
+                    // Same cut, in a different order
+                    dataset.addCut({test04: ['test06', 'test05']});
+                    expect(requests.length).toEqual(2);
+                    expect(conn.getData()[0].id).toEqual(requests[1].url);
+
+                    dataset.removeCut();
+                    expect(requests.length).toEqual(2);
+                    expect(conn.getData()[0].id).toEqual(requests[0].url);
+                    done();
+                });
+            });
+        });
+
+        it('should retry failed fetches before reporting an error', function(done) {
+            var requests = this.requests,
+                conn;
+
+            this.server.failures = 2;
+            conn = this.dataset.pool.getConnection({type: 'observations', dimension: 'test03', aggregation: 'sum'});
+            conn.retryDelay = 1;
+
+            conn.once('connection:sync', function() {
+                expect(requests.length).toEqual(3);
+                expect(conn.getError()).toBeNull();
+                done();
+            });
+        });
+
+        it('should report an error when retries are exhausted', function(done) {
+            var requests = this.requests,
+                conn;
+
+            this.server.failures = 2;
+            conn = this.dataset.pool.getConnection({type: 'observations', dimension: 'test03', aggregation: 'sum'});
+            conn.retryDelay = 1;
+            conn.maxRetries = 1;
+
+            conn.once('connection:error', function(conn, error) {
+                expect(requests.length).toEqual(2);
+                expect(error).toEqual({status: 503, statusText: 'Service Unavailable'});
+
+                // Retrying manually succeeds now the server is back
+                conn.once('connection:sync', function() {
+                    expect(requests.length).toEqual(3);
+                    expect(conn.getError()).toBeNull();
+                    done();
+                });
+                conn.retry();
+            });
+        });
+
+    });
+
+});
\ No newline at end of file
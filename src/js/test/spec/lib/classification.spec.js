@@ -0,0 +1,39 @@
+define(['underscore', 'lib/classification'], function(_, classification) {
+    /* global describe, expect, it */
+
+    describe('The choropleth classification', function() {
+
+        var values = [22, 1, 2, 3, 10, 11, 12, 20, 21, null];
+
+        it('should split values in equal intervals', function() {
+            expect(classification.breaks('quantize', values, 3)).toEqual([1, 8, 15, 22]);
+            expect(classification.breaks('quantize', [5, 5], 3)).toEqual([5]);
+            expect(classification.breaks('quantize', [], 3)).toEqual([]);
+        });
+
+        it('should split values in quantiles', function() {
+            expect(classification.breaks('quantile', [1, 2, 3, 4, 100], 4)).toEqual([1, 2, 3, 4, 100]);
+        });
+
+        it('should find the natural breaks', function() {
+            expect(classification.breaks('jenks', values, 3)).toEqual([1, 10, 20, 22]);
+            expect(classification.breaks('jenks', [1, 2], 5)).toEqual([1, 2]);
+        });
+
+        it('should split values in intervals of equal ratios', function() {
+            var round = function(breaks) { return _.map(breaks, Math.round); };
+            expect(round(classification.breaks('log', [1, 10, 100, 1000], 3))).toEqual([1, 10, 100, 1000]);
+            expect(round(classification.breaks('log', [-5, 1, 100], 2))).toEqual([-5, 10, 100]);
+        });
+
+        it('should centre diverging classes on the midpoint', function() {
+            expect(classification.breaks('diverging', [-2, 1, 4], 4)).toEqual([-4, -2, 0, 2, 4]);
+            expect(classification.breaks('diverging', [1, 4], 2, 2)).toEqual([0, 2, 4]);
+            expect(function() {
+                classification.breaks('test01', values, 3);
+            }).toThrow();
+        });
+
+    });
+
+});
@@ -0,0 +1,21 @@
+define(['lib/export'], function(exporter) {
+    /* global describe, expect, it */
+
+    describe('The export helpers', function() {
+
+        it('should split pages between boxes', function() {
+            var boxes = [
+                {y: 0, height: 100},
+                {y: 110, height: 100},
+                {y: 220, height: 300},
+                {y: 530, height: 50}
+            ];
+
+            expect(exporter.pageBreaks(boxes, 580, 1000)).toEqual([[0, 580]]);
+            expect(exporter.pageBreaks(boxes, 580, 250)).toEqual([[0, 220], [220, 470], [470, 580]]);
+            expect(exporter.pageBreaks([], 580, 250)).toEqual([[0, 250], [250, 500], [500, 580]]);
+        });
+
+    });
+
+});
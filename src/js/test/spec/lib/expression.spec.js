@@ -0,0 +1,39 @@
+define(['lib/expression'], function(expression) {
+    /* global describe, expect, it */
+
+    describe('The expression parser', function() {
+
+        it('should parse and evaluate expressions', function() {
+            var node = expression.parse('sum(test01) / sum("test-02") * 100000 - -rows()'),
+                values = {'sum:test01': 3, 'sum:test-02': 60000, 'rows:null': 2};
+
+            expect(expression.terms(node)).toEqual([
+                {aggregation: 'sum', measure: 'test01'},
+                {aggregation: 'sum', measure: 'test-02'},
+                {aggregation: 'rows', measure: null}
+            ]);
+            expect(expression.evaluate(node, function(aggregation, measure) {
+                return values[aggregation + ':' + measure];
+            })).toEqual(7);
+        });
+
+        it('should respect operator precedence and parentheses', function() {
+            var evaluate = function(text) {
+                return expression.evaluate(expression.parse(text));
+            };
+            expect(evaluate('1 + 2 * 3')).toEqual(7);
+            expect(evaluate('(1 + 2) * 3')).toEqual(9);
+            expect(evaluate('8 / 4 / 2')).toEqual(1);
+            expect(evaluate('1 / 0')).toBeNull();
+        });
+
+        it('should reject invalid expressions', function() {
+            var invalid = ['', 'sum(test01', 'sum()', 'foo(test01)', 'test01', '1 +', 'alert("test02")', '1; 2'];
+            for (var i = 0; i < invalid.length; i++) {
+                expect(expression.parse.bind(expression, invalid[i])).toThrow();
+            }
+        });
+
+    });
+
+});
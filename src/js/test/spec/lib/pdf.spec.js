@@ -0,0 +1,39 @@
+define(['underscore', 'lib/pdf'], function(_, pdf) {
+    /* global describe, expect, it */
+
+    describe('The PDF writer', function() {
+
+        var page = {jpeg: new Uint8Array([255, 216, 255, 217]), width: 20, height: 10, pageWidth: 595.28, pageHeight: 297.64},
+            text = function(parts) {
+                return _.map(parts, function(part) {
+                    return _.isString(part) ? part : String.fromCharCode.apply(null, part);
+                }).join('');
+            };
+
+        it('should build a page per image', function() {
+            var document = text(pdf.parts([page, page]));
+
+            expect(document.indexOf('%PDF-1.4\n')).toBe(0);
+            expect(document).toContain('/Kids [3 0 R 6 0 R] /Count 2');
+            expect(document).toContain('/MediaBox [0 0 595.28 297.64]');
+            expect(document).toContain('/Width 20 /Height 10');
+            expect(document).toMatch(/%%EOF\n$/);
+        });
+
+        it('should point to its objects', function() {
+            var document = text(pdf.parts([page])),
+                xref = Number(/startxref\n(\d+)/.exec(document)[1]),
+                offsets = _.map(document.slice(xref).match(/\d{10} 00000 n/g), function(entry) {
+                    return Number(entry.slice(0, 10));
+                });
+
+            expect(document.slice(xref, xref + 5)).toBe('xref\n');
+            expect(offsets.length).toBe(5);
+            _.each(offsets, function(offset, i) {
+                expect(document.slice(offset, offset + 8)).toBe((i + 1) + ' 0 obj\n');
+            });
+        });
+
+    });
+
+});
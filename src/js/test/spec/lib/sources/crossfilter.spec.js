@@ -0,0 +1,172 @@
+define(['underscore', 'jquery', 'models/dataset', 'lib/sources/crossfilter'],
+    function(_, $, Dataset, CrossfilterSource) {
+    /* global describe, beforeEach, afterEach, expect, it */
+
+    describe('A crossfilter data source', function() {
+
+        beforeEach(function(done) {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 'test04', test05: '2014-01-10', test06: '1'},
+                        {test03: 'test07', test05: '2014-02-20', test06: '2'},
+                        {test03: 'test04', test05: '2014-05-01', test06: '3.5'},
+                        {test03: 'test07', test05: '2014-05-02', test06: ''}
+                    ],
+                    visualisation: {label: 'test08'}
+                })
+            });
+
+            var dataset = this.dataset,
+                synced = _.after(2, function() {
+                    dataset.reset();
+                    done();
+                });
+            dataset.fetch({success: synced});
+            dataset.visualisation.fetch({success: synced});
+        });
+
+        it('should guess the dataset fields', function() {
+            expect(this.dataset.fields.pluck('type')).toEqual(['string', 'date', 'float']);
+            expect(this.dataset.visualisation.get('label')).toEqual('test08');
+        });
+
+        it('should compute dimension values and observations', function(done) {
+            var pool = this.dataset.pool,
+                dims = pool.getConnection({type: 'dimensions', dimension: 'test03'}),
+                obs = pool.getConnection({type: 'observations', dimension: 'test03', measure: 'test06', aggregation: 'sum'}),
+                synced = _.after(2, function() {
+                    expect(dims.getData()).toEqual([{id: 0, label: 'test04'}, {id: 1, label: 'test07'}]);
+                    expect(obs.getData()).toEqual([{id: 0, total: 4.5}, {id: 1, total: 2}]);
+                    done();
+                });
+
+            dims.once('connection:sync', synced);
+            obs.once('connection:sync', synced);
+        });
+
+        it('should bucket dates and apply cuts', function(done) {
+            var dataset = this.dataset,
+                obs = dataset.pool.getConnection({type: 'observations', dimension: 'test05', bucket_interval: 'date_quarter', aggregation: 'rows'}),
+                total = dataset.pool.getConnection({type: 'observations', measure: 'test06', aggregation: 'mean'});
+
+            total.once('connection:sync', function() {
+                dataset.addCut({test03: ['1']});
+
+                total.once('connection:sync', function() {
+                    expect(obs.getData()).toEqual([
+                        {id: Date.UTC(2014, 0, 1), total: 1},
+                        {id: Date.UTC(2014, 3, 1), total: 1}
+                    ]);
+                    expect(total.getData()).toEqual(2);
+                    done();
+                });
+            });
+        });
+
+        it('should compute statistical aggregations', function(done) {
+            var pool = this.dataset.pool,
+                aggregations = {
+                    min: 1,
+                    max: 3.5,
+                    median: 2,
+                    count_distinct: 3,
+                    stddev: 1.25831
+                },
+                synced = _.after(_.size(aggregations), done);
+
+            _.each(aggregations, function(expected, aggregation) {
+                var conn = pool.getConnection({type: 'observations', measure: 'test06', aggregation: aggregation});
+                conn.once('connection:sync', function() {
+                    expect(conn.getData()).toBeCloseTo(expected, 4);
+                    synced();
+                });
+            });
+        });
+
+        it('should not aggregate rows without measure values', function(done) {
+            var pool = this.dataset.pool,
+                aggregations = {
+                    sum: 0,
+                    count_distinct: 0,
+                    mean: null,
+                    min: null,
+                    max: null,
+                    median: null,
+                    variance: null,
+                    stddev: null
+                },
+                synced = _.after(_.size(aggregations), done);
+
+            _.each(aggregations, function(expected, aggregation) {
+                var conn = pool.getConnection({type: 'observations', dimension: 'test05', bucket_interval: 'date_day', measure: 'test06', aggregation: aggregation});
+                conn.once('connection:sync', function() {
+                    expect(conn.getValueById(Date.UTC(2014, 4, 2)).total).toBe(expected);
+                    synced();
+                });
+            });
+        });
+
+    });
+
+    describe('A crossfilter data source with malformed data', function() {
+
+        beforeEach(function() {
+            // Serve a truncated JSON file
+            this.ajax = $.ajax;
+            $.ajax = function() {
+                return $.Deferred().resolve('[{"test03": "test04"').promise();
+            };
+
+            this.source = new CrossfilterSource({
+                url: '/test05.json',
+                fields: [{id: 'test03', type: 'string'}]
+            });
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                source: this.source
+            });
+        });
+
+        afterEach(function() {
+            $.ajax = this.ajax;
+        });
+
+        it('should report a parse error to the connections', function(done) {
+            var conn = this.dataset.pool.getConnection({type: 'observations', aggregation: 'rows'});
+
+            conn.once('connection:error', function(conn, error) {
+                expect(error.status).toBeNull();
+                expect(error.statusText).toBeTruthy();
+                done();
+            });
+        });
+
+        it('should report a read error to the connections', function(done) {
+            var source = this.source;
+
+            $.ajax = function() {
+                return $.Deferred().resolve('[{"test03": "test04"}]').promise();
+            };
+            source.read = function() {
+                throw new Error('test06');
+            };
+
+            source.sync('read', this.dataset, {
+                success: function() {
+                    expect(true).toBe(false);
+                    done();
+                },
+                error: function(error) {
+                    expect(error).toEqual({status: null, statusText: 'test06'});
+                    done();
+                }
+            });
+        });
+
+    });
+
+});
@@ -0,0 +1,62 @@
+define(['backbone', 'underscore', 'models/dataset', 'models/dataset/connection', 'models/dataset/dimensionalConnection', 'lib/sources/static'],
+    function(Backbone, _, Dataset, Connection, DimensionalConnection, StaticSource) {
+    /* global describe, beforeEach, afterEach, expect, it */
+
+    describe('A static data source', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                source: new StaticSource({baseUrl: '/data'})
+            });
+
+            // Don't make HTTP requests
+            Connection.prototype.fetch = function() {};
+            DimensionalConnection.prototype.fetch = function() {};
+        });
+
+        afterEach(function() {
+            delete Connection.prototype.fetch;
+            delete DimensionalConnection.prototype.fetch;
+        });
+
+        it('should construct file paths', function() {
+            var conn = this.dataset.pool.getConnection({
+                    type: 'observations',
+                    dimension: 'test03',
+                    measure: 'test04',
+                    aggregation: 'sum',
+                    cut: {test05: ['test06', 'test07']}
+                });
+
+            expect(this.dataset.url()).toEqual('/test01');
+            expect(this.dataset.visualisation.url()).toEqual('/test01/visualisations/test02');
+            expect(conn.url()).toEqual('/test01/observations/test03/' + encodeURIComponent('aggregation=sum&measure=test04&test05=test06,test07'));
+        });
+
+        it('should fetch JSON files', function() {
+            var ajax = Backbone.ajax,
+                url;
+
+            Backbone.ajax = function(options) {
+                url = options.url;
+            };
+            this.dataset.fetch();
+            Backbone.ajax = ajax;
+
+            expect(url).toEqual('/data/test01.json');
+        });
+
+        it('should be read-only and not batch requests', function() {
+            var dataset = this.dataset;
+
+            expect(dataset.pool.batchRequests).toBe(false);
+            expect(function() {
+                dataset.visualisation.save();
+            }).toThrow();
+        });
+
+    });
+
+});
@@ -59,6 +59,156 @@ define(['models/dataset'], function(Dataset) {
             expect(dataset.hasCutId('test03', 'test04')).toEqual(false);
         });
 
+
+        it('should check for IDs in exclusion and range cuts', function() {
+            var dataset = new Dataset({
+                    id: 'test33',
+                    visualisation_id: 'test34',
+                    cut: {
+                        test35: {exclude: ['test36']},
+                        test37: {between: [10, 20]},
+                        test38: {gt: 5}
+                    }
+                });
+            expect(dataset.hasCutId('test35', 'test36')).toEqual(false);
+            expect(dataset.hasCutId('test35', 'test39')).toEqual(true);
+            expect(dataset.hasCutId('test37', 10)).toEqual(true);
+            expect(dataset.hasCutId('test37', 20)).toEqual(false);
+            expect(dataset.hasCutId('test38', 5)).toEqual(false);
+            expect(dataset.hasCutId('test38', 6)).toEqual(true);
+        });
+
+        it('should append and remove excluded values', function() {
+            var dataset = new Dataset({
+                    id: 'test40',
+                    visualisation_id: 'test41',
+                    cut: {
+                        test42: ['test43']
+                    }
+                });
+
+            // An exclusion replaces an inclusion cut
+            dataset.addCut({test42: {exclude: 'test44'}}, true);
+            dataset.addCut({test42: {exclude: ['test45']}}, true);
+            expect(dataset.getCut('test42')).toEqual({exclude: ['test44', 'test45']});
+
+            dataset.removeCut(['test42'], [{exclude: ['test44']}]);
+            expect(dataset.getCut('test42')).toEqual({exclude: ['test45']});
+
+            dataset.removeCut(['test42'], ['test45']);
+            expect(dataset.isCut('test42')).toEqual(false);
+        });
+
+        it('should replace a range cut when appending another range', function() {
+            var dataset = new Dataset({
+                    id: 'test46',
+                    visualisation_id: 'test47',
+                    cut: {
+                        test48: {between: [10, 20]}
+                    }
+                });
+
+            dataset.addCut({test48: {between: [30, 40]}}, true);
+            expect(dataset.getCut('test48')).toEqual({between: [30, 40]});
+            expect(dataset.hasCutId('test48', 10)).toEqual(false);
+
+            dataset.addCut({test48: {gte: 50}}, true);
+            expect(dataset.getCut('test48')).toEqual({gte: 50});
+        });
+
+        it('should undo and redo cut changes', function() {
+            var dataset = new Dataset({
+                    id: 'test15',
+                    visualisation_id: 'test16'
+                });
+            expect(dataset.canUndoCut()).toEqual(false);
+
+            dataset.addCut({test17: 'test18'});
+            dataset.addCut({test19: ['test20', 'test21']});
+            expect(dataset.getCut()).toEqual({test17: ['test18'], test19: ['test20', 'test21']});
+
+            dataset.undoCut();
+            expect(dataset.getCut()).toEqual({test17: ['test18']});
+            expect(dataset.canRedoCut()).toEqual(true);
+
+            dataset.undoCut();
+            expect(dataset.getCut()).toEqual({});
+            expect(dataset.canUndoCut()).toEqual(false);
+
+            dataset.redoCut();
+            expect(dataset.getCut()).toEqual({test17: ['test18']});
+
+            // A new cut discards the undone changes
+            dataset.removeCut();
+            expect(dataset.getCut()).toEqual({});
+            expect(dataset.canRedoCut()).toEqual(false);
+        });
+
+        it('should replace the whole cut', function() {
+            var dataset = new Dataset({
+                    id: 'test27',
+                    visualisation_id: 'test28',
+                    cut: {
+                        test29: ['test30']
+                    }
+                });
+
+            dataset.setCut({test31: ['test32']});
+            expect(dataset.getCut()).toEqual({test31: ['test32']});
+
+            dataset.undoCut();
+            expect(dataset.getCut()).toEqual({test29: ['test30']});
+        });
+
+        it('should save and restore named cut snapshots', function() {
+            var dataset = new Dataset({
+                    id: 'test22',
+                    visualisation_id: 'test23',
+                    cut: {
+                        test24: ['test25']
+                    }
+                });
+
+            dataset.saveCutSnapshot('first');
+            dataset.addCut({test24: 'test26'}, true);
+            expect(dataset.getCutSnapshots()).toEqual(['first']);
+
+            dataset.restoreCutSnapshot('first');
+            expect(dataset.getCut()).toEqual({test24: ['test25']});
+
+            // Restoring a snapshot can be undone
+            dataset.undoCut();
+            expect(dataset.getCut()).toEqual({test24: ['test25', 'test26']});
+        });
+
+        it('should track the path of drilled down hierarchies', function() {
+            var dataset = new Dataset({
+                    id: 'test33',
+                    visualisation_id: 'test34',
+                    hierarchies: [
+                        {id: 'test35', level_field: 'test36', ancestor_fields: ['test37', 'test38', 'test39']}
+                    ]
+                });
+
+            expect(dataset.getHierarchyPath('test35')).toEqual([{level: 3, parent: null}]);
+            expect(dataset.getHierarchyPath('test40')).toEqual([]);
+
+            dataset.drillDown('test35', 3, '12');
+            dataset.drillDown('test35', 2, '34');
+            expect(dataset.getHierarchyLevel('test35')).toEqual(1);
+            expect(dataset.getHierarchyPath('test35')).toEqual([
+                {level: 3, parent: null},
+                {level: 2, parent: '12'},
+                {level: 1, parent: '34'}
+            ]);
+
+            dataset.drillUp('test35', 2);
+            expect(dataset.getHierarchyPath('test35')).toEqual([
+                {level: 3, parent: null},
+                {level: 2, parent: '12'}
+            ]);
+        });
+
     });
 
 });
@@ -0,0 +1,62 @@
+define(['underscore', 'models/dataset', 'lib/sources/crossfilter'],
+    function(_, Dataset, CrossfilterSource) {
+    /* global describe, beforeEach, expect, it */
+
+    describe('A calculated measure connection', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 'test04', test05: 1, test06: 100},
+                        {test03: 'test04', test05: 3, test06: 300},
+                        {test03: 'test07', test05: 2, test06: 1000},
+                        {test03: 'test08', test05: 1, test06: 0}
+                    ]
+                })
+            });
+        });
+
+        it('should combine the component aggregations per dimension value', function(done) {
+            var pool = this.dataset.pool,
+                conn = pool.getConnection({
+                    type: 'observations',
+                    dimension: 'test03',
+                    expression: 'sum(test05) / sum(test06) * 1000'
+                });
+
+            expect(pool.length).toEqual(3);
+
+            conn.once('connection:sync', function() {
+                // Division by zero for test08
+                expect(conn.getData()).toEqual([{id: 0, total: 10}, {id: 1, total: 2}]);
+
+                pool.releaseConnection(conn);
+                expect(pool.length).toEqual(0);
+                done();
+            });
+        });
+
+        it('should calculate totals with the current cut', function(done) {
+            var dataset = this.dataset,
+                conn = dataset.pool.getConnection({
+                    type: 'observations',
+                    expression: 'mean(test05) * rows()'
+                });
+
+            conn.once('connection:sync', function() {
+                expect(conn.getData()).toEqual(7);
+                dataset.addCut({test03: [0]});
+
+                conn.once('connection:sync', function() {
+                    expect(conn.getData()).toEqual(4);
+                    done();
+                });
+            });
+        });
+
+    });
+
+});
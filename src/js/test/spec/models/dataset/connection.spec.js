@@ -1,6 +1,6 @@
 require(['models/dataset', 'models/dataset/connection', 'models/dataset/dimensionalConnection'],
     function(Dataset, Connection, DimensionalConnection) {
-    /* global describe, beforeEach, expect, it */
+    /* global describe, beforeEach, afterEach, expect, it */
 
     describe('A connection model', function() {
 
@@ -16,6 +16,12 @@ require(['models/dataset', 'models/dataset/connection', 'models/dataset/dimensio
             DimensionalConnection.prototype.fetch = function() {};
         });
 
+        afterEach(function() {
+            // Restore HTTP requests for other specs
+            delete Connection.prototype.fetch;
+            delete DimensionalConnection.prototype.fetch;
+        });
+
         it('should construct API URLs for dimensions', function() {
             var conn = new DimensionalConnection({
                 dataset: this.dataset,
@@ -87,6 +93,23 @@ require(['models/dataset', 'models/dataset/connection', 'models/dataset/dimensio
             expect(conn.url()).toEqual('/api/datasets/test01/observations/?test12=test13&aggregation=sum&measure=test11');
         });
 
+        it('should construct API URLs for observations with operator cuts', function() {
+            var conn = new DimensionalConnection({
+                    dataset: this.dataset,
+                    type: 'observations',
+                    dimension: 'test18',
+                    measure: 'test19',
+                    aggregation: 'sum',
+                    cut: {
+                        test20: {exclude: ['test21', 'test22']},
+                        test23: {between: [1, 5]},
+                        test24: {gt: 3},
+                        test25: {lt: 4}
+                    }
+                });
+            expect(conn.url()).toEqual('/api/datasets/test01/observations/test18?test20__exclude=test21,test22&test23__between=1,5&test24__gt=3&test25__lt=4&aggregation=sum&measure=test19');
+        });
+
         it('should return dimension values', function() {
             var data = {
                     id01: {
@@ -0,0 +1,509 @@
+define(['underscore', 'models/dataset', 'models/visualisation/element/dynamic/dimensionalElement', 'lib/sources/crossfilter'],
+    function(_, Dataset, DimensionalElement, CrossfilterSource) {
+    /* global describe, beforeEach, expect, it */
+
+    describe('A dimensional element with several measures', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'string'},
+                    {id: 'test05', label: 'Test 05', type: 'integer'},
+                    {id: 'test06', label: 'Test 06', type: 'integer'}
+                ],
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 'test04', test05: 1, test06: 100},
+                        {test03: 'test04', test05: 3, test06: 300},
+                        {test03: 'test07', test05: 2, test06: null}
+                    ]
+                })
+            });
+            this.dataset.reset();
+
+            this.element = new DimensionalElement({
+                type: 'column',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test05',
+                    aggregation: 'sum',
+                    measure_label: 'Total Test 05',
+                    dimensions: [{field: 'test03'}]
+                }
+            });
+        });
+
+        it('should add and remove measures', function() {
+            var element = this.element,
+                pool = this.dataset.pool;
+
+            // Observations and dimensions connections
+            expect(pool.length).toEqual(2);
+
+            element.addMeasure('mean:test06');
+            expect(pool.length).toEqual(3);
+            expect(_.pluck(element.getMeasures(), 'measure_label')).toEqual(['Total Test 05', 'Average Test 06']);
+            expect(element.getMeasureLabel()).toEqual('Total Test 05, Average Test 06');
+
+            // Removing the main measure promotes the next one
+            element.removeMeasure(0);
+            expect(pool.length).toEqual(2);
+            expect(element.get('settings').get('measure')).toEqual('test06');
+            expect(element.get('settings').has('measures')).toEqual(false);
+
+            // Only some element types can show several measures
+            element.set('type', 'donut');
+            expect(function() {
+                element.addMeasure('sum:test05');
+            }).toThrow();
+        });
+
+        it('should align the measures observations', function(done) {
+            var element = this.element;
+
+            element.addMeasure('max:test06');
+            element.get('settings').set('sort_direction', 'desc');
+
+            element.once('element:ready', function() {
+                expect(element.getMeasureObservations(0)).toEqual([{id: 0, total: 4}, {id: 1, total: 2}]);
+
+                // No test06 values for test07
+                expect(element.getMeasureObservations(1)).toEqual([{id: 0, total: 300}, {id: 1, total: 0}]);
+                done();
+            });
+        });
+
+        it('should not mix a calculated main measure with a raw one', function(done) {
+            this.dataset.visualisation.addCalculatedMeasure({
+                id: 'test08',
+                label: 'Test 08',
+                expression: 'sum(test05) * 10'
+            });
+
+            var element = new DimensionalElement({
+                type: 'column',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test08',
+                    aggregation: 'calculated',
+                    sort_direction: 'desc',
+                    dimensions: [{field: 'test03'}]
+                }
+            });
+            element.addMeasure('max:test06');
+
+            element.once('element:ready', function() {
+                expect(element.getMeasureObservations(0)).toEqual([{id: 0, total: 40}, {id: 1, total: 20}]);
+                expect(element.getMeasureObservations(1)).toEqual([{id: 0, total: 300}, {id: 1, total: 0}]);
+                done();
+            });
+        });
+
+        it('should group the values left out of a top-N', function(done) {
+            var element = this.element,
+                cuts = [];
+
+            element.on('addCut', function(cut) {
+                cuts.push(cut);
+            });
+            element.on('removeCut', function(ids) {
+                cuts.push(ids);
+            });
+
+            element.addMeasure('max:test06');
+            element.get('settings').set('sort_direction', 'desc');
+            element.updateTop(1);
+
+            // Only bar, bubble and donut charts
+            expect(element.getTop()).toBeNull();
+            element.set('type', 'bar');
+            expect(element.getTop()).toEqual(1);
+
+            element.once('element:ready', function() {
+                expect(element.getObservations()).toEqual([{id: 0, total: 4}, {id: '_other', total: 2, other: [1]}]);
+                expect(element.getMeasureObservations(1)).toEqual([{id: 0, total: 300}, {id: '_other', total: 0}]);
+                expect(element.getLabel({id: '_other'}).label).toEqual('Other');
+                expect(element.getObservationById('_other', null, 'tooltip')).toEqual({id: '_other', total: 2, other: [1]});
+
+                // Clicking "Other" excludes the values shown
+                element.featureClick({id: '_other'});
+                element.dataset.cut.test03 = {exclude: [0]};
+                element.featureClick({id: '_other'});
+                expect(cuts).toEqual([{test03: {exclude: [0]}}, ['test03']]);
+                done();
+            });
+        });
+
+    });
+
+
+    describe('A geo element', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'geo'}
+                ],
+                source: new CrossfilterSource({data: []})
+            });
+            this.dataset.reset();
+
+            this.element = new DimensionalElement({
+                type: 'geo',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: null,
+                    aggregation: 'rows',
+                    dimensions: [{field: 'test03'}]
+                }
+            });
+        });
+
+        it('should update its projection', function() {
+            var element = this.element;
+
+            expect(element.getProjection()).toEqual({name: 'mercator', center: null, rotate: null, scale: null});
+            expect(element.getTopoJSONObject()).toEqual('data');
+
+            element.updateProjection('orthographic', {rotate: [-10, -50]});
+            element.updateProjection('orthographic', {scale: 500});
+            expect(element.getProjection()).toEqual({name: 'orthographic', center: null, rotate: [-10, -50], scale: 500});
+
+            element.updateProjection('mercator', {rotate: null});
+            expect(element.getProjection().rotate).toBeNull();
+
+            expect(function() {
+                element.updateProjection('test04');
+            }).toThrow();
+        });
+
+    });
+
+
+    describe('A proportional symbol map', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'string'},
+                    {id: 'test04', label: 'Test 04', type: 'float'},
+                    {id: 'test05', label: 'Test 05', type: 'float'},
+                    {id: 'test06', label: 'Test 06', type: 'integer'}
+                ],
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 'test07', test04: 51.5, test05: -0.1, test06: 1},
+                        {test03: 'test07', test04: 51.7, test05: -0.3, test06: 2},
+                        {test03: 'test08', test04: 48.8, test05: 2.3, test06: 4}
+                    ]
+                })
+            });
+            this.dataset.reset();
+
+            this.element = new DimensionalElement({
+                type: 'geo',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test06',
+                    aggregation: 'sum',
+                    dimensions: [{field: 'test03'}]
+                }
+            });
+        });
+
+        it('should position the symbols by coordinate fields', function(done) {
+            var element = this.element;
+
+            expect(_.invoke(element.getDimensionFields(), 'get', 'id')).toEqual([]);
+            expect(_.bind(element.updateMapMode, element, 'symbols', {latitude: 'test03', longitude: 'test05'})).toThrow();
+
+            element.updateMapMode('symbols', {latitude: 'test04', longitude: 'test05'});
+            expect(element.getCoordinateFields()).toEqual({latitude: 'test04', longitude: 'test05'});
+            expect(_.invoke(element.getDimensionFields(), 'get', 'id')).toEqual(['test03']);
+
+            element.once('element:ready', function() {
+                var symbols = element.getSymbols();
+                expect(_.pluck(symbols, 'total')).toEqual([3, 4]);
+                expect(symbols[0].coordinates[0]).toBeCloseTo(-0.2, 5);
+                expect(symbols[0].coordinates[1]).toBeCloseTo(51.6, 5);
+                expect(element.combineTotals([3, 4])).toEqual(7);
+                done();
+            });
+        });
+
+        it('should cut on clusters of symbols', function() {
+            var element = this.element,
+                cuts = [];
+
+            element.on('addCut', function(cut) {
+                cuts.push(cut);
+            });
+            element.on('removeCut', function(ids) {
+                cuts.push(ids);
+            });
+
+            element.cutValues([0, 1]);
+            element.dataset.cut.test03 = [0, 1];
+            element.cutValues([0, 1]);
+            expect(cuts).toEqual([{test03: [0, 1]}, ['test03']]);
+        });
+
+    });
+
+
+    describe('A line chart with a comparison series', function() {
+
+        var month = function(year, month) {
+            return Date.UTC(year, month - 1, 1);
+        };
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'date'},
+                    {id: 'test05', label: 'Test 05', type: 'integer'}
+                ],
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: '2014-01-15', test05: 1},
+                        {test03: '2014-02-10', test05: 2},
+                        {test03: '2015-01-05', test05: 4},
+                        {test03: '2015-02-20', test05: 8},
+                        {test03: '2015-03-01', test05: 16}
+                    ]
+                })
+            });
+            this.dataset.reset();
+
+            this.element = new DimensionalElement({
+                type: 'line',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test05',
+                    aggregation: 'sum',
+                    measure_label: 'Total Test 05',
+                    dimensions: [{field: 'test03', bucket_interval: 'date_month'}]
+                }
+            });
+        });
+
+        it('should line up the previous year observations', function(done) {
+            var element = this.element;
+
+            element.updateComparison('previous_year');
+            expect(element.getComparisonLabel()).toEqual('Previous year');
+
+            element.once('element:ready', function() {
+                expect(element.getComparisonObservations()).toEqual([
+                    {id: month(2014, 1), total: null},
+                    {id: month(2014, 2), total: null},
+                    {id: month(2015, 1), total: 1},
+                    {id: month(2015, 2), total: 2},
+                    {id: month(2015, 3), total: null}
+                ]);
+                expect(element.getComparisonChange(month(2015, 1))).toEqual(3);
+                expect(element.getComparisonChange(month(2015, 3))).toBeNull();
+                done();
+            });
+        });
+
+        it('should line up the previous period observations', function(done) {
+            var element = this.element;
+
+            element.updateComparison('previous_period');
+
+            element.once('element:ready', function() {
+                expect(_.pluck(element.getComparisonObservations(), 'total')).toEqual([null, 1, null, 4, 8]);
+                done();
+            });
+        });
+
+        it('should move the date cuts back', function() {
+            this.element.updateComparison('previous_year');
+
+            var conn = this.element._getConnection('observations', 'comparison');
+            conn.set('cut', {test03: {between: [month(2015, 1), month(2016, 1)]}});
+            expect(conn.getCut()).toEqual({test03: {between: [month(2014, 1), month(2015, 1)]}});
+        });
+
+        it('should drill down and up a hierarchy of date buckets', function(done) {
+            var element = this.element,
+                cuts = [];
+
+            element.on('addCut', function(cut) {
+                cuts.push(cut);
+            });
+
+            element.dataset.visualisation.addHierarchy({
+                id: 'test04',
+                levels: [
+                    {field: 'test03', bucket_interval: 'date_year', label: 'Year'},
+                    {field: 'test03', bucket_interval: 'date_month', label: 'Month'}
+                ]
+            });
+            element.updateHierarchy('test04');
+            expect(element.dimensions.at(0).get('bucket_interval')).toEqual('date_year');
+            expect(element.canDrillDown()).toEqual(true);
+
+            element.once('element:ready', function() {
+                element.featureClick({id: month(2015, 1)});
+                expect(cuts).toEqual([{test03: [month(2015, 1)]}]);
+                expect(element.dimensions.at(0).get('bucket_interval')).toEqual('date_month');
+                expect(element.getDrillPath()).toEqual([{level: 0, label: 'Year'}, {level: 1, label: 'Month'}]);
+                expect(element.canDrillDown()).toEqual(false);
+
+                element.once('element:ready', function() {
+                    // Only the months of the drilled down year
+                    expect(_.pluck(element.getObservations(), 'id')).toEqual([month(2015, 1), month(2015, 2), month(2015, 3)]);
+
+                    element.drillUp(0);
+                    expect(cuts[1]).toEqual({test03: null});
+                    expect(element.dimensions.at(0).get('bucket_interval')).toEqual('date_year');
+                    expect(element.getDrillPath()).toEqual([{level: 0, label: 'Year'}]);
+                    done();
+                });
+            });
+        });
+
+        it('should only compare bucketed dates', function() {
+            this.element.get('settings').set('comparison', 'previous_year');
+            expect(this.element.getComparison()).toEqual('previous_year');
+
+            this.element.set('type', 'column');
+            expect(this.element.getComparison()).toBeNull();
+
+            expect(_.bind(this.element.updateComparison, this.element, 'test04')).toThrow();
+        });
+
+    });
+
+
+    describe('A column chart over a numeric dimension', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'integer'},
+                    {id: 'test05', label: 'Test 05', type: 'integer'}
+                ],
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 10, test05: 1},
+                        {test03: 20, test05: 2},
+                        {test03: 30, test05: 4},
+                        {test03: 40, test05: 8}
+                    ]
+                })
+            });
+            this.dataset.reset();
+
+            this.element = new DimensionalElement({
+                type: 'column',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test05',
+                    aggregation: 'sum',
+                    measure_label: 'Total Test 05',
+                    dimensions: [{field: 'test03'}]
+                }
+            });
+        });
+
+        it('should only select ranges when ordered by its dimension', function() {
+            var settings = this.element.get('settings');
+            expect(this.element.canBrush()).toEqual(true);
+
+            settings.set({sort: 'test03', sort_direction: 'desc'});
+            expect(this.element.canBrush()).toEqual(true);
+
+            settings.set({sort: 'test05'});
+            expect(this.element.canBrush()).toEqual(false);
+        });
+
+        it('should cut on a range of values', function(done) {
+            var element = this.element,
+                cuts = [];
+
+            element.on('addCut', function(cut) {
+                cuts.push(cut);
+            });
+            element.on('removeCut', function(ids) {
+                cuts.push(ids);
+            });
+
+            element.once('element:ready', function() {
+                element.brushCut(30, 10);
+                element.brushCut(20, 40);
+                element.brushCut(10, 40);
+                expect(cuts).toEqual([
+                    {test03: {between: [10, 40]}},
+                    {test03: {gte: 20}},
+                    ['test03']
+                ]);
+                done();
+            });
+        });
+
+        it('should toggle the cut on a bucket', function(done) {
+            var dataset = this.dataset,
+                element = new DimensionalElement({
+                    type: 'column',
+                    dataset: dataset,
+                    visualisation: dataset.visualisation,
+                    settings: {
+                        measure: 'test05',
+                        aggregation: 'sum',
+                        dimensions: [{field: 'test03', bucket: 10}]
+                    }
+                });
+
+            element.on('addCut', dataset.addCut, dataset);
+            element.on('removeCut', dataset.removeCut, dataset);
+
+            element.once('element:ready', function() {
+                element.featureClick({id: 10});
+                expect(dataset.getCut('test03')).toEqual({between: [10, 20]});
+
+                element.featureClick({id: 10});
+                expect(dataset.isCut('test03')).toEqual(false);
+                done();
+            });
+        });
+
+        it('should get the range cut', function(done) {
+            var element = this.element;
+
+            element.once('element:ready', function() {
+                expect(element.getCutRange()).toBeNull();
+
+                element.dataset.cut.test03 = [20];
+                expect(element.getCutRange()).toBeNull();
+
+                element.dataset.cut.test03 = {between: [20, 40]};
+                expect(element.getCutRange()).toEqual([20, 30]);
+
+                element.dataset.cut.test03 = {gte: 20};
+                expect(element.getCutRange()).toEqual([20, 40]);
+                done();
+            });
+        });
+
+    });
+
+});
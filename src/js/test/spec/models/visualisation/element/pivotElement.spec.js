@@ -0,0 +1,156 @@
+define(['underscore', 'models/dataset', 'models/visualisation/element/dynamic/pivotElement', 'lib/sources/crossfilter'],
+    function(_, Dataset, PivotElement, CrossfilterSource) {
+    /* global describe, beforeEach, expect, it */
+
+    describe('A pivot element', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'string'},
+                    {id: 'test04', label: 'Test 04', type: 'string'},
+                    {id: 'test05', label: 'Test 05', type: 'integer'}
+                ],
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 'test06', test04: 'test08', test05: 1},
+                        {test03: 'test06', test04: 'test09', test05: 2},
+                        {test03: 'test07', test04: 'test08', test05: 4},
+                        {test03: 'test06', test04: 'test08', test05: 8}
+                    ]
+                })
+            });
+            this.dataset.reset();
+
+            this.element = new PivotElement({
+                type: 'pivot',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test05',
+                    aggregation: 'sum',
+                    measure_label: 'Total Test 05',
+                    dimensions: [{field: 'test03'}, {field: 'test04'}]
+                }
+            });
+        });
+
+        it('should cross-tabulate its measure with totals', function(done) {
+            var element = this.element;
+
+            element.once('element:ready', function() {
+                expect(element.getPivotValue(0, 0)).toEqual(9);
+                expect(element.getPivotValue(0, 1)).toEqual(2);
+                expect(element.getPivotValue(1, 0)).toEqual(4);
+                expect(element.getPivotValue(1, 1)).toBeUndefined();
+
+                expect(element.getPivotTotals(0)).toEqual([{id: 0, total: 11}, {id: 1, total: 4}]);
+                expect(element.getPivotTotals(1)).toEqual([{id: 0, total: 13}, {id: 1, total: 2}]);
+                expect(element.getPivotTotal()).toEqual(15);
+                done();
+            });
+        });
+
+        it('should list the cross-tabulated cells', function(done) {
+            var element = this.element;
+
+            element.once('element:ready', function() {
+                expect(element.getPivotCells()).toEqual([
+                    {row: 0, column: 0, total: 9},
+                    {row: 0, column: 1, total: 2},
+                    {row: 1, column: 0, total: 4}
+                ]);
+                done();
+            });
+        });
+
+        it('should report an error for a calculated measure', function(done) {
+            this.dataset.visualisation.addCalculatedMeasure({
+                id: 'test10',
+                label: 'Test 10',
+                expression: 'sum(test05) * 2'
+            });
+
+            var pool = this.dataset.pool,
+                length = pool.length,
+                element = new PivotElement({
+                    type: 'pivot',
+                    dataset: this.dataset,
+                    visualisation: this.dataset.visualisation,
+                    settings: {
+                        measure: 'test10',
+                        aggregation: 'calculated',
+                        dimensions: [{field: 'test03'}, {field: 'test04'}]
+                    }
+                });
+
+            // No cross-tabulated connections
+            expect(pool.length).toEqual(length);
+            expect(element.getError().statusText).toEqual('Calculated measures can\'t be cross-tabulated');
+
+            element.once('element:error', function(model, error) {
+                expect(error).toEqual(element.getError());
+                done();
+            });
+        });
+
+        it('should cut on a cell', function() {
+            var cut;
+            this.element.on('addCut', function(value) {
+                cut = value;
+            });
+
+            this.element.cellClick(0, 1);
+            expect(cut).toEqual({test03: [0], test04: [1]});
+        });
+
+        it('should toggle the cut on a cell of a bucketed axis', function(done) {
+            var dataset = this.dataset,
+                element = new PivotElement({
+                    type: 'heatmap',
+                    dataset: dataset,
+                    visualisation: dataset.visualisation,
+                    settings: {
+                        measure: 'test05',
+                        aggregation: 'sum',
+                        dimensions: [{field: 'test03'}, {field: 'test05', bucket: 4}]
+                    }
+                });
+
+            element.on('addCut', dataset.addCut, dataset);
+            element.on('removeCut', dataset.removeCut, dataset);
+
+            element.once('element:ready', function() {
+                element.cellClick(0, 0);
+                expect(dataset.getCut()).toEqual({test03: [0], test05: {between: [0, 4]}});
+                expect(element.isCellCut(0, 0)).toEqual(true);
+
+                element.cellClick(0, 0);
+                expect(dataset.getCut()).toEqual({});
+
+                element.featureClick({id: 4}, 1);
+                expect(dataset.getCut()).toEqual({test05: {between: [4, 8]}});
+                element.featureClick({id: 4}, 1);
+                expect(dataset.getCut()).toEqual({});
+                done();
+            });
+        });
+
+        it('should cut on either dimension', function() {
+            var cut;
+            this.element.on('addCut', function(value) {
+                cut = value;
+            });
+
+            this.element.featureClick({id: 1}, 1);
+            expect(cut).toEqual({test04: [1]});
+
+            this.element.featureClick({id: 0}, 0);
+            expect(cut).toEqual({test03: [0]});
+        });
+
+    });
+
+});
@@ -0,0 +1,84 @@
+define(['underscore', 'models/dataset', 'models/visualisation/element/dynamic/scatterElement', 'lib/sources/crossfilter'],
+    function(_, Dataset, ScatterElement, CrossfilterSource) {
+    /* global describe, beforeEach, expect, it */
+
+    describe('A scatter element', function() {
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                fields: [
+                    {id: 'test03', label: 'Test 03', type: 'string'},
+                    {id: 'test04', label: 'Test 04', type: 'integer'},
+                    {id: 'test05', label: 'Test 05', type: 'integer'}
+                ],
+                source: new CrossfilterSource({
+                    data: [
+                        {test03: 'test06', test04: 1, test05: 10},
+                        {test03: 'test06', test04: 2, test05: null},
+                        {test03: 'test07', test04: 4, test05: 40},
+                        {test03: 'test08', test04: 8, test05: 80}
+                    ]
+                })
+            });
+            this.dataset.reset();
+
+            this.element = new ScatterElement({
+                type: 'scatter',
+                dataset: this.dataset,
+                visualisation: this.dataset.visualisation,
+                settings: {
+                    measure: 'test04',
+                    aggregation: 'sum',
+                    measure_label: 'Total Test 04',
+                    dimensions: [{field: 'test03'}]
+                }
+            });
+        });
+
+        it('should use its main measure for both axes', function(done) {
+            var element = this.element;
+
+            element.once('element:ready', function() {
+                expect(element.getAxisLabel('y')).toEqual('Total Test 04');
+                expect(element.getAxisLabel('size')).toEqual('');
+                expect(element.getPoints()).toEqual([
+                    {id: 0, x: 3, y: 3, size: null},
+                    {id: 1, x: 4, y: 4, size: null},
+                    {id: 2, x: 8, y: 8, size: null}
+                ]);
+                done();
+            });
+        });
+
+        it('should plot its measures', function(done) {
+            var element = this.element;
+
+            element.addMeasure('max:test05');
+            element.addMeasure('rows');
+
+            element.once('element:ready', function() {
+                expect(element.getAxisLabel('y')).toEqual('Maximum Test 05');
+                expect(element.getPoints()).toEqual([
+                    {id: 0, x: 3, y: 10, size: 2},
+                    {id: 1, x: 4, y: 40, size: 1},
+                    {id: 2, x: 8, y: 80, size: 1}
+                ]);
+                done();
+            });
+        });
+
+        it('should show at most three measures', function() {
+            var element = this.element;
+
+            element.addMeasure('max:test05');
+            element.addMeasure('rows');
+            expect(function() {
+                element.addMeasure('min:test05');
+            }).toThrow();
+        });
+
+    });
+
+});
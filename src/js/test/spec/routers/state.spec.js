@@ -0,0 +1,75 @@
+define(['backbone', 'underscore', 'models/dataset', 'routers/state'], function(Backbone, _, Dataset, StateRouter) {
+    /* global describe, beforeEach, expect, it, spyOn */
+
+    describe('A state router', function() {
+
+        var TestRouter = StateRouter.extend({updateDelay: 10});
+
+        beforeEach(function() {
+            this.dataset = new Dataset({
+                id: 'test01',
+                visualisation_id: 'test02',
+                cut: {test03: ['test04']}
+            });
+            this.router = new TestRouter({dataset: this.dataset});
+
+            spyOn(this.router, 'navigate');
+            spyOn(Backbone.history, 'start');
+            spyOn(Backbone.history, 'loadUrl');
+            this.router.start();
+        });
+
+        it('should encode the state in the location hash', function(done) {
+            var router = this.router,
+                dataset = this.dataset;
+
+            dataset.addCut({test05: ['test06']});
+            dataset.addCut({test05: ['test07']});
+
+            // Changes are debounced
+            setTimeout(function() {
+                expect(router.navigate.calls.count()).toEqual(1);
+                expect(router.navigate).toHaveBeenCalledWith('state/' + encodeURIComponent(JSON.stringify({
+                    cut: {test03: ['test04'], test05: ['test07']},
+                    elements: {}
+                })));
+                done();
+            }, 50);
+        });
+
+        it('should restore an encoded state', function() {
+            var dataset = this.dataset;
+
+            this.router.restoreEncoded(JSON.stringify({cut: {test05: ['test06']}}));
+            expect(dataset.getCut()).toEqual({test05: ['test06']});
+
+            // Navigating the browser history can't be undone
+            expect(dataset.canUndoCut()).toEqual(false);
+        });
+
+        it('should ignore malformed hashes', function() {
+            var dataset = this.dataset;
+
+            this.router.restoreEncoded('{"cut": ');
+            this.router.restoreEncoded('"test05"');
+            expect(dataset.getCut()).toEqual({test03: ['test04']});
+        });
+
+        it('should restore the initial state', function(done) {
+            var router = this.router,
+                dataset = this.dataset;
+
+            dataset.addCut({test05: ['test06']});
+            router.restoreInitial();
+            expect(dataset.getCut()).toEqual({test03: ['test04']});
+
+            // The restored state isn't added to the browser history
+            setTimeout(function() {
+                expect(router.navigate).not.toHaveBeenCalled();
+                done();
+            }, 50);
+        });
+
+    });
+
+});
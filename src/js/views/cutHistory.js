@@ -0,0 +1,74 @@
+define(['backbone', 'underscore', 'jquery', 'text!../templates/cutHistory.html'],
+    function(Backbone, _, $, cutHistoryTemplate) {
+    'use strict';
+
+    /**
+     * Toolbar exposing the dataset's cut history (undo/redo) and named cut
+     * snapshots
+     */
+    var CutHistoryView = Backbone.View.extend({
+
+        template: _.template(cutHistoryTemplate),
+
+        events: {
+            'click .cut-undo': 'undo',
+            'click .cut-redo': 'redo',
+            'click .cut-snapshot-save': 'saveSnapshot',
+            'change .cut-snapshots': 'restoreSnapshot'
+        },
+
+        initialize: function() {
+            this.listenTo(this.model, 'cut:change cut:undo cut:redo cut:restore cut:snapshot', this.render);
+        },
+
+        render: function() {
+            this.$el.html(this.template({
+                canUndo: this.model.canUndoCut(),
+                canRedo: this.model.canRedoCut(),
+                snapshots: this.model.getCutSnapshots()
+            }));
+            return this;
+        },
+
+        /**
+         * Undo button event handler
+         */
+        undo: function(e) {
+            e.preventDefault();
+            this.model.undoCut();
+        },
+
+        /**
+         * Redo button event handler
+         */
+        redo: function(e) {
+            e.preventDefault();
+            this.model.redoCut();
+        },
+
+        /**
+         * Prompt for a name and save the current cut as a snapshot
+         */
+        saveSnapshot: function(e) {
+            e.preventDefault();
+            var name = $.trim(window.prompt('Save the current filters as:') || '');
+            if (name.length > 0) {
+                this.model.saveCutSnapshot(name);
+            }
+        },
+
+        /**
+         * Snapshot select event handler
+         */
+        restoreSnapshot: function(e) {
+            var name = $(e.currentTarget).val();
+            if (name.length > 0) {
+                this.model.restoreCutSnapshot(name);
+            }
+        }
+
+    });
+
+    return CutHistoryView;
+
+});
@@ -1,12 +1,21 @@
-define(['backbone', 'underscore', '../models/dataset', '../models/datasetSingleton', './visualisation'],
-    function(Backbone, _, Dataset, datasetSingleton, VisualisationEmbedView) {
+define(['backbone', 'underscore', '../models/dataset', '../models/datasetSingleton', '../routers/state', './visualisation'],
+    function(Backbone, _, Dataset, datasetSingleton, StateRouter, VisualisationEmbedView) {
     'use strict';
 
     var DatasetEmbedView = Backbone.View.extend({
 
         visualisationViewType: VisualisationEmbedView,
 
+        // Keep the visualisation state in the location hash (see
+        // StateRouter). Opt-in with the "link_state" option, as it takes over
+        // the page's hash routing
+        linkState: false,
+
         initialize: function(options) {
+            if (!_.isUndefined(options.link_state)) {
+                this.linkState = options.link_state;
+            }
+
             // If bootstrap data has been supplied, get as singleton and render
             if (datasetSingleton !== null) {
                 this.model = datasetSingleton;
@@ -39,6 +48,13 @@ define(['backbone', 'underscore', '../models/dataset', '../models/datasetSinglet
 
             this.model.reset();
             this.visualisation.render();
+
+            // Restore the visualisation state from the location hash and keep
+            // it in sync
+            if (this.linkState && !this.router) {
+                this.router = new StateRouter({dataset: this.model});
+                this.router.start();
+            }
         }
     });
 
@@ -1,5 +1,5 @@
-define(['backbone', 'underscore', 'jquery', './element/summary', './element/filter/navigation', './element/table', './element/text', './element/dc/line', './element/dc/bar', './element/dc/column', './element/dc/donut', './element/d3/bubble', './element/d3/geo', './loadScreen', 'bootstrap_dropdown'],
-    function(Backbone, _, $, SummaryElementView, NavigationElementView, TableChartView, TextElementView, LineChartView, BarChartView, ColumnChartView, DonutChartView, BubbleChartView, GeoChartView, LoadScreenView) {
+define(['backbone', 'underscore', 'jquery', 'filesaver', '../lib/export', './element/summary', './element/filter/navigation', './element/table', './element/pivot', './element/text', './element/dc/line', './element/dc/bar', './element/dc/column', './element/dc/donut', './element/d3/bubble', './element/d3/geo', './element/d3/heatmap', './element/d3/scatter', './loadScreen', 'text!../templates/element/error.html', 'text!../templates/exportError.html', 'bootstrap_dropdown'],
+    function(Backbone, _, $, filesaver, exporter, SummaryElementView, NavigationElementView, TableChartView, PivotElementView, TextElementView, LineChartView, BarChartView, ColumnChartView, DonutChartView, BubbleChartView, GeoChartView, HeatmapChartView, ScatterChartView, LoadScreenView, errorTemplate, exportErrorTemplate) {
     'use strict';
 
     var ElementView = Backbone.View.extend({
@@ -7,14 +7,22 @@ define(['backbone', 'underscore', 'jquery', './element/summary', './element/filt
         tagName: 'article',
 
         events: {
-            'click .remove-filter': 'reset'
+            'click .remove-filter': 'reset',
+            'click .element-error .retry': 'retry',
+            'click .download-png': 'downloadPNG',
+            'click .export-error .dismiss': 'dismissExportError'
         },
 
+        errorTemplate: _.template(errorTemplate),
+
+        exportErrorTemplate: _.template(exportErrorTemplate),
+
         chartTypes: {
             // HTML elements
             summary:      SummaryElementView,
             navigation:   NavigationElementView,
             table:        TableChartView,
+            pivot:        PivotElementView,
             text:         TextElementView,
 
             // D3/DC elements
@@ -23,7 +31,9 @@ define(['backbone', 'underscore', 'jquery', './element/summary', './element/filt
             bar:          BarChartView,
             donut:        DonutChartView,
             bubble:       BubbleChartView,
-            geo:          GeoChartView
+            geo:          GeoChartView,
+            heatmap:      HeatmapChartView,
+            scatter:      ScatterChartView
         },
 
         initialize: function(options) {
@@ -31,6 +41,9 @@ define(['backbone', 'underscore', 'jquery', './element/summary', './element/filt
 
             // Listen for changes in chart size and re-render
             this.listenTo(this.model, 'change:width change:height', this.render);
+
+            // Show an error panel when the element's data can't be loaded
+            this.listenTo(this.model, 'element:error', this.renderError);
         },
 
         render: function() {
@@ -54,6 +67,9 @@ define(['backbone', 'underscore', 'jquery', './element/summary', './element/filt
             // Check if this element's data is loaded
             if (this.model.isLoaded()) {
 
+                // Remove error panel
+                this.$('.element-error').remove();
+
                 // Check if a chart view exists and is of the correct type
                 if (!(this._chart && this._chart instanceof this.chartTypes[type])) {
 
@@ -93,6 +109,26 @@ define(['backbone', 'underscore', 'jquery', './element/summary', './element/filt
             return this;
         },
 
+        /**
+         * Render the error panel (above the chart, if any)
+         */
+        renderError: function(element, error) {
+            this.$('.element-error').remove();
+            this.$el
+                .addClass('element')
+                .prepend(this.errorTemplate(_.extend({status: null, statusText: null}, error)));
+            return this;
+        },
+
+        /**
+         * Retry button event handler
+         */
+        retry: function(e) {
+            e.preventDefault();
+            this.$('.element-error').remove();
+            this.model.retry();
+        },
+
         /**
          * Reset chart filters button event handler
          */
@@ -100,6 +136,50 @@ define(['backbone', 'underscore', 'jquery', './element/summary', './element/filt
             e.preventDefault();
             this.model.removeCut();
             $('.tipsy').remove();
+        },
+
+        /**
+         * Download PNG button event handler: charts' SVG is rasterised on its
+         * own, HTML elements as a whole
+         */
+        downloadPNG: function(e) {
+            e.preventDefault();
+            if (!window.Blob) {
+                throw new Error('PNG download not supported');
+            }
+
+            var node = this._chart.$('.chart-container > svg').get(0) || this._chart.el,
+                options = {
+                    scale: this.visualisation.getExportScale(),
+                    background: this.$el.css('background-color')
+                };
+
+            this.$('.export-error').remove();
+            exporter.rasterise(node, options)
+                .done(function(canvas) {
+                    filesaver(exporter.blob(canvas, 'image/png'), 'chart.png');
+                })
+                .fail(_.bind(this.renderExportError, this));
+        },
+
+        /**
+         * Render the export error panel (above the chart)
+         */
+        renderExportError: function(error) {
+            this.$('.export-error').remove();
+            this.$el.prepend(this.exportErrorTemplate({
+                subject: 'this element',
+                message: (error && error.message) || null
+            }));
+            return this;
+        },
+
+        /**
+         * Dismiss export error button event handler
+         */
+        dismissExportError: function(e) {
+            e.preventDefault();
+            this.$('.export-error').remove();
         }
 
     });
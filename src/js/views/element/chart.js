@@ -1,5 +1,5 @@
-define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templates/element/chart.html', 'tipsy'],
-    function(Backbone, _, $, d3, filesaver, chartTemplate) {
+define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', '../../lib/export', 'text!../../templates/element/chart.html', 'text!../../templates/element/drillPath.html', 'tipsy'],
+    function(Backbone, _, $, d3, filesaver, exporter, chartTemplate, drillPathTemplate) {
     'use strict';
 
     var ChartView = Backbone.View.extend({
@@ -8,9 +8,12 @@ define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templ
 
         template: _.template(chartTemplate),
 
+        drillPathTemplate: _.template(drillPathTemplate),
+
         events: {
             'mouseover g': 'removeTooltips',
-            'click .download-svg' : 'downloadSVG'
+            'click .download-svg' : 'downloadSVG',
+            'click .drill-path a': 'drillUp'
         },
 
         initialize: function(options) {
@@ -26,6 +29,7 @@ define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templ
             if (!this.container) {
                 this.$el.html(this.template(this.model.attributes));
                 this.$heading = this.$('h2');
+                this.$drillPath = this.$('.drill-path');
                 this.$container = this.$('.chart-container');
                 this.container = this.$container.get(0);
             }
@@ -38,9 +42,16 @@ define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templ
                 'border-color': styles.getStyle('visualisationBackground')
             });
 
+            // Show the breadcrumb of hierarchical dimensions
+            var path = this.model.getDrillPath();
+            this.$drillPath
+                .html(this.drillPathTemplate({path: path}))
+                .toggle(path.length > 1);
+
             // Set chart size
             this.width = this.$container.width();
-            this.height = this.$el.height() - this.$heading.outerHeight(true);
+            this.height = this.$el.height() - this.$heading.outerHeight(true) -
+                ((path.length > 1) ? this.$drillPath.outerHeight(true) : 0);
             this.$container.height(this.height);
 
             return this;
@@ -68,14 +79,23 @@ define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templ
         },
 
         /**
-         * Handle a chart feature click
+         * Handle a chart feature click (alt-click excludes the feature's value)
          */
         featureClick: function(d, i) {
-            if (this.model.featureClick(d, i)) {
+            var exclude = !_.isNull(d3.event) && d3.event.altKey === true;
+            if (this.model.featureClick(d, i, exclude)) {
                 this.setFeatures();
             }
         },
 
+        /**
+         * Handle a breadcrumb click: drill up to the clicked level
+         */
+        drillUp: function(e) {
+            e.preventDefault();
+            this.model.drillUp($(e.currentTarget).data('level'));
+        },
+
         /**
          * Helper function to calculate a string's width in pixels
          */
@@ -143,11 +163,22 @@ define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templ
                 return;
             }
             var valueLabel = this.model.getLabel(d),
+                formatter = this.model.getMeasureFormatter('tooltip'),
+                measures = this.model.getMeasures(),
                 label = '';
             if (valueLabel && valueLabel.label) {
                label += valueLabel.label + ': ';
             }
-            label += this.model.getMeasureFormatter('tooltip')(value.total);
+
+            // List all the measures values
+            if (measures.length > 1) {
+                label += _.map(measures, function(measure, index) {
+                    var observation = _.findWhere(this.model.getMeasureObservations(index, null, 'tooltip'), {id: d.id});
+                    return measure.measure_label + ' ' + formatter(observation.total);
+                }, this).join('; ');
+            } else {
+                label += formatter(value.total);
+            }
             return label;
         },
 
@@ -176,41 +207,10 @@ define(['backbone', 'underscore', 'jquery', 'd3', 'filesaver', 'text!../../templ
                 throw new Error('SVG download not supported');
             }
 
-            // Get clone of chart SVG
-            var svg = this.$('.chart-container > svg').get(0).cloneNode(true),
-                defaultNS = 'http://www.w3.org/2000/xmlns/',
-                svgNS = 'http://www.w3.org/2000/svg',
-                xLinkNS = 'http://www.w3.org/1999/xlink';
-
-            // Set XML namespaces
-            if (!svg.hasAttributeNS(defaultNS, 'xmlns')) {
-                svg.setAttributeNS(defaultNS, 'xmlns', svgNS);
-            }
-
-            if (!svg.hasAttributeNS(defaultNS, 'xmlns:xlink')) {
-                svg.setAttributeNS(defaultNS, 'xmlns:xlink', xLinkNS);
-            }
-
-            // Set basic chart styles
-            var defs = svg.querySelector('defs');
-            if (!defs) {
-                defs = document.createElement('defs');
-                svg.appendChild(defs);
-            }
-
-            var style = document.createElementNS(svgNS, 'style');
-            style.setAttribute('type', 'text/css');
-            defs.appendChild(style);
-
-            style.appendChild(document.createTextNode([
-                'text {',
-                'font-family: Verdana;',
-                'font-size: 12px;',
-                '}'
-            ].join(' ')));
-
-            // Serialise SVG
-            var data = (new XMLSerializer()).serializeToString(svg),
+            // Serialise SVG, with its computed styles
+            var svg = this.$('.chart-container > svg').get(0),
+                rect = svg.getBoundingClientRect(),
+                data = exporter.serialise(svg, Math.ceil(rect.width), Math.ceil(rect.height)),
                 type = 'image/svg+xml',
                 filename = 'chart.svg';
 
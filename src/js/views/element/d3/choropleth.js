@@ -0,0 +1,140 @@
+define(['underscore', 'd3', '../../../lib/classification', '../chart'],
+    function(_, d3, classification, ChartView) {
+    'use strict';
+
+    /**
+     * Base class for charts colouring their features by value (e.g. maps and
+     * heatmaps): features are filled on a scale between the choroplethMin
+     * and choroplethMax styles (through choroplethMid for diverging
+     * classifications), which is shown in a stepped legend below the chart.
+     * Values are classified as set on the element (see
+     * DynamicElement.getClassification()).
+     *
+     * Sub-classes must implement:
+     *   getFeatureValue: Get the measure value of a feature (undefined if
+     *   there isn't any)
+     */
+    var ChoroplethChartView = ChartView.extend({
+
+        margin: 10,
+
+        scaleHeight: 60,
+        scaleItemHeight: 15,
+        scaleMeasureHeight: 25,
+
+        /**
+         * Set the colour scale (and the legend items) for the current set of
+         * values
+         */
+        setColourScale: function(values) {
+            var settings = this.model.getClassification(),
+                styles = this.model.visualisation.styles,
+                totals = _.map(values, this.getMeasure);
+
+            // Continuous scale, whose legend shows evenly spaced values
+            if (settings.method === 'linear') {
+                this.colourScale = d3.scale.linear()
+                    .domain([d3.min(totals), d3.max(totals)])
+                    .range([styles.getStyle('choroplethMin'), styles.getStyle('choroplethMax')]);
+
+                this.scaleItems = _.map(this.colourScale.ticks(settings.classes), function(value) {
+                    return {value: value, colour: this.colourScale(value)};
+                }, this);
+                return;
+            }
+
+            // One colour per class, whose legend shows the lower breaks
+            var breaks = classification.breaks(settings.method, totals, settings.classes, settings.midpoint),
+                num = Math.max(breaks.length - 1, 1),
+                interpolate = (settings.method === 'diverging') ?
+                    d3.scale.linear().domain([0, 0.5, 1]).range([
+                        styles.getStyle('choroplethMin'),
+                        styles.getStyle('choroplethMid'),
+                        styles.getStyle('choroplethMax')
+                    ]) :
+                    d3.scale.linear().range([styles.getStyle('choroplethMin'), styles.getStyle('choroplethMax')]),
+                colours = _.map(d3.range(num), function(i) {
+                    return interpolate((num > 1) ? i / (num - 1) : 1);
+                });
+
+            this.colourScale = d3.scale.threshold()
+                .domain(breaks.slice(1, -1))
+                .range(colours);
+
+            this.scaleItems = (breaks.length < 1) ? [] : _.map(colours, function(colour, i) {
+                return {value: breaks[i], colour: colour};
+            });
+        },
+
+        /**
+         * Draw the colour scale legend (scaleHeight pixels high)
+         */
+        renderScale: function(chart, y) {
+            var chartScale = chart.append('g')
+                    .attr('transform', 'translate(' + this.margin + ',' + y + ')'),
+                formatter = this.model.getMeasureFormatter('scale');
+
+            this.scaleItemWidth = Math.floor((this.width - (this.margin * 2)) / Math.max(this.scaleItems.length, 1));
+
+            chartScale.selectAll('.scale')
+                    .data(this.scaleItems)
+                .enter().append('rect')
+                    .attr('class', 'scale')
+                    .attr('x', _.bind(this.getScaleItemX, this))
+                    .attr('y', this.margin)
+                    .attr('width', this.scaleItemWidth)
+                    .attr('height', this.scaleItemHeight)
+                    .attr('fill', function(d) { return d.colour; });
+
+            chartScale.selectAll('.scaleLabel')
+                    .data(this.scaleItems)
+                .enter().append('text')
+                    .attr('class', 'scaleLabel')
+                    .attr('x', _.bind(this.getScaleItemX, this))
+                    .attr('y', (this.margin * 2) + this.scaleItemHeight)
+                    .style('fill', this.getStyle('scaleLabel'))
+                    .text(function(d) { return formatter(d.value); });
+
+            chartScale.append('text')
+                    .attr('class', 'scaleLabel')
+                    .attr('text-anchor', 'middle')
+                    .attr('x', (this.width - (this.margin * 2)) / 2)
+                    .attr('y', (this.margin * 2) + this.scaleItemHeight + this.scaleMeasureHeight)
+                    .attr('dy', -5)
+                    .style('fill', this.getStyle('scaleFeature'))
+                    .text(this.model.getMeasureLabel());
+        },
+
+        /**
+         * Set colour of a chart feature
+         */
+        featureFill: function(d, i) {
+            if (this.isFeatureCut(d)) {
+                return this.model.visualisation.styles.getStyle('featureFill');
+            }
+            var value = this.getFeatureValue(d);
+            if (!_.isUndefined(value)) {
+                return this.colourScale(value);
+            }
+            return this.model.visualisation.styles.getStyle('choroplethMin');
+        },
+
+        /**
+         * Check if a feature is highlighted by the cut
+         */
+        isFeatureCut: function(d) {
+            return this.model.hasCutId(d.id);
+        },
+
+        /**
+         * Set X position of scale item
+         */
+        getScaleItemX: function(d, i) {
+            return i * this.scaleItemWidth;
+        }
+
+    });
+
+    return ChoroplethChartView;
+
+});
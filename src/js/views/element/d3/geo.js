@@ -1,74 +1,96 @@
-define(['underscore', 'd3', 'topojson', '../chart'],
-    function(_, d3, topojson, ChartView) {
+define(['underscore', 'd3', 'topojson', 'text!../../../templates/element/zoomControls.html', './choropleth'],
+    function(_, d3, topojson, zoomControlsTemplate, ChoroplethChartView) {
     'use strict';
 
-    var GeoChartView = ChartView.extend({
+    /**
+     * Choropleth map, which can be zoomed and panned (with the mouse or the
+     * zoom controls) and focused on a feature by double-clicking it.
+     *
+     * Proportional symbol maps (see DimensionalElement.getMapMode()) show
+     * circles sized by the measure instead of colouring the features.
+     */
+    var GeoChartView = ChoroplethChartView.extend({
 
+        // Scale of the projection when measuring the features' bounds (see
+        // getProjection())
         scaleFactor: 100,
-        margin: 10,
 
-        scaleTicks: 7,
-        scaleHeight: 60,
-        scaleItemHeight: 15,
-        scaleMeasureHeight: 25,
+        // Maximum zoom scale, and the zoom factor of the zoom controls
+        maxZoom: 20,
+        zoomStep: 2,
+
+        // Duration (ms) of the zoom transitions
+        zoomDuration: 750,
+
+        // Delay (ms) before handling a feature click, so that double-clicks
+        // don't cut the visualisation
+        clickDelay: 250,
+
+        // Radius range (px) of proportional symbols
+        minSymbolRadius: 2,
+        maxSymbolRadius: 30,
+
+        zoomControlsTemplate: _.template(zoomControlsTemplate),
+
+        events: _.extend({}, ChoroplethChartView.prototype.events, {
+            'click .zoom-in': 'zoomIn',
+            'click .zoom-out': 'zoomOut',
+            'click .zoom-reset': 'resetZoom'
+        }),
+
+        initialize: function() {
+            ChoroplethChartView.prototype.initialize.apply(this, arguments);
+
+            // The zoom behaviour keeps the map's zoom between renders
+            this.zoom = d3.behavior.zoom()
+                .scaleExtent([1, this.maxZoom])
+                .on('zoom', _.bind(this.zoomed, this));
+        },
 
         render: function() {
             // Setup chart
-            ChartView.prototype.render.apply(this, arguments);
+            ChoroplethChartView.prototype.render.apply(this, arguments);
             this.$container.empty();
 
-            // Get GeoJSON
+            // Get GeoJSON, and the symbols of proportional symbol maps
             var values = this.model.getObservations(),
-                gjson = this.getGeoJSON();
-            if (!gjson) {
+                gjson = this.getGeoJSON(),
+                symbols = (this.model.getMapMode() === 'symbols') ? this.getSymbols(gjson) : null;
+            if (!gjson && _.isEmpty(symbols)) {
                 return this;
             }
 
-            // Calculate map height
-            var mheight = this.height - this.scaleHeight - this.margin;
+            // Calculate map height (there's no colour scale below proportional
+            // symbol maps)
+            var mheight = (symbols) ? this.height : this.height - this.scaleHeight - this.margin;
             if (mheight < 1) {
                 // Don't render, if there isn't enough vertical space
                 return this;
             }
 
-            // Setup projection, bounds and scaling factor
-            var center = d3.geo.centroid(gjson),
-                projection = d3.geo.mercator()
-                    .scale(this.scaleFactor)
-                    .center(center)
-                    .translate([this.width/2, mheight/2]),
-                path = d3.geo.path()
-                    .projection(projection),
-                bounds = path.bounds(gjson),
-                hscale = (this.scaleFactor * this.width)  / (bounds[1][0] - bounds[0][0]),
-                vscale = (this.scaleFactor * mheight) / (bounds[1][1] - bounds[0][1]);
+            // Setup projection, fitted to the features or to the symbols
+            this.path = d3.geo.path()
+                .projection(this.getProjection(
+                    gjson || {type: 'MultiPoint', coordinates: _.pluck(symbols, 'coordinates')},
+                    this.width,
+                    mheight
+                ));
 
-            // Calculate scale factor
-            this.scaleFactor = (hscale < vscale) ? hscale : vscale;
-
-            // Re-scale and re-center projection
-            projection = projection
-                .scale(this.scaleFactor)
-                .center(center);
-
-            // Calculate offset and translate projection
-            path = path.projection(projection);
-            bounds = path.bounds(gjson);
-            projection = projection.translate([
-                this.width - (bounds[0][0] + bounds[1][0])/2,
-                mheight - (bounds[0][1] + bounds[1][1])/2
-            ]);
+            // Reset the zoom when the map is resized or re-projected
+            var zoomKey = JSON.stringify([this.width, mheight, this.model.getProjection(), this.model.getMapMode()]);
+            if (zoomKey !== this.zoomKey) {
+                this.zoomKey = zoomKey;
+                this.zoom.size([this.width, mheight]).translate([0, 0]).scale(1);
+            }
 
-            // Get colour range for the current set of values
-            this.colourScale = d3.scale.linear()
-                .domain([
-                    d3.min(values, this.getMeasure),
-                    d3.max(values, this.getMeasure)
-                ])
-                .range([
-                    this.model.visualisation.styles.getStyle('choroplethMin'),
-                    this.model.visualisation.styles.getStyle('choroplethMax')
-                ]);
+            // Get colour range for the current set of values, or the symbols
+            // positions and sizes
+            this.symbols = null;
+            if (symbols) {
+                this.setSymbols(symbols);
+            } else {
+                this.setColourScale(values);
+            }
 
             // Add SVG
             var chart = d3.select(this.container)
@@ -78,72 +100,387 @@ define(['underscore', 'd3', 'topojson', '../chart'],
                     .attr('class', 'geoChart')
                     .classed('inactive', _.bind(this.model.isCut, this.model));
 
-            // Add geo container
-            chart.append('g')
+            // Add the zoomable map, clipped above the scale
+            chart.append('defs')
+                .append('clipPath')
+                    .attr('id', this.cid + '-clip')
+                .append('rect')
                     .attr('width', this.width)
+                    .attr('height', mheight);
+
+            var map = chart.append('g')
+                    .attr('class', 'map')
+                    .attr('clip-path', 'url(#' + this.cid + '-clip)')
+                    .call(this.zoom)
+                    .on('dblclick.zoom', null);
+
+            // Background, to pan the map from anywhere
+            map.append('rect')
+                .attr('width', this.width)
+                .attr('height', mheight)
+                .style('fill', 'none')
+                .style('pointer-events', 'all');
+
+            // Add geo container
+            this.features = map.append('g');
+            this.features
                 .selectAll('path')
-                    .data(gjson.features)
+                    .data((gjson) ? gjson.features : [])
                         .enter()
                     .append('path')
-                        .attr('d', path)
+                        .attr('d', this.path)
                         .style('stroke', this.getStyle('choroplethStroke'))
-                        .style('stroke-width', this.getStyle('choroplethStrokeWidth'))
                         .style('fill', _.bind(this.featureFill, this))
                         .attr('title', _.bind(this.getTooltip, this))
-                        .on('click', _.bind(this.featureClick, this));
+                        .on('click', _.bind(this.featureClick, this))
+                        .on('dblclick', _.bind(this.focusFeature, this));
+
+            // Add symbols container
+            this.symbolsLayer = map.append('g')
+                .attr('class', 'symbols');
+
+            this.zoomed();
 
             // Attach tooltips
             this.attachTooltips('path');
 
             // Create scale
-            var chartScale = chart.append('g')
-                    .attr('transform', 'translate(' + this.margin + ',' + mheight + ')'),
-                scaleTicks = this.colourScale.ticks(this.scaleTicks);
-
-            this.scaleItemWidth = Math.floor((this.width - (this.margin * 2)) / scaleTicks.length);
-
-            chartScale.selectAll('.scale')
-                    .data(scaleTicks)
-                .enter().append('rect')
-                    .attr('class', 'scale')
-                    .attr('x', _.bind(this.getScaleItemX, this))
-                    .attr('y', this.margin)
-                    .attr('width', this.scaleItemWidth)
-                    .attr('height', this.scaleItemHeight)
-                    .attr('fill', this.colourScale);
-
-            chartScale.selectAll('.scaleLabel')
-                    .data(scaleTicks)
-                .enter().append('text')
-                    .attr('class', 'scaleLabel')
-                    .attr('x', _.bind(this.getScaleItemX, this))
-                    .attr('y', (this.margin * 2) + this.scaleItemHeight)
-                    .style('fill', this.getStyle('scaleLabel'))
-                    .text(this.model.getMeasureFormatter('scale'));
-
-            chartScale.append('text')
-                    .attr('class', 'scaleLabel')
-                    .attr('text-anchor', 'middle')
-                    .attr('x', (this.width - (this.margin * 2)) / 2)
-                    .attr('y', (this.margin * 2) + this.scaleItemHeight + this.scaleMeasureHeight)
-                    .attr('dy', -5)
-                    .style('fill', this.getStyle('scaleFeature'))
-                    .text(this.model.getMeasureLabel());
+            if (!this.symbols) {
+                this.renderScale(chart, mheight);
+            }
+
+            // Add zoom controls
+            this.$container.prepend(this.zoomControlsTemplate());
 
             return this;
 
         },
 
+        /**
+         * Get the element's projection (see DimensionalElement.getProjection())
+         * for a map of the specified size. Unless they're fixed, the
+         * projection is rotated to the features' centroid, and its scale and
+         * translation fit the features in the map.
+         */
+        getProjection: function(gjson, width, height) {
+            var settings = this.model.getProjection(),
+                projection = d3.geo[settings.name](),
+                centroid = d3.geo.centroid(gjson);
+
+            // Albers USA can't be rotated or centred
+            if (projection.rotate) {
+                if (settings.rotate) {
+                    projection.rotate(settings.rotate);
+                } else if (!settings.center) {
+                    projection.rotate([-centroid[0], (settings.name === 'orthographic') ? -centroid[1] : 0]);
+                }
+            }
+            if (projection.center && settings.center) {
+                projection.center(settings.center);
+            }
+
+            // Measure the features' bounds, which are proportional to the
+            // scale when the projection isn't translated
+            projection
+                .scale(this.scaleFactor)
+                .translate([0, 0]);
+
+            var bounds = d3.geo.path().projection(projection).bounds(gjson),
+                scale = settings.scale || this.scaleFactor * Math.min(
+                    width / (bounds[1][0] - bounds[0][0]),
+                    height / (bounds[1][1] - bounds[0][1])
+                ),
+                ratio;
+
+            // A single point can't be fitted
+            if (!_.isFinite(scale)) {
+                scale = this.scaleFactor;
+            }
+            ratio = scale / this.scaleFactor;
+
+            projection.scale(scale);
+
+            // Put the fixed centre, or the features, in the middle of the map
+            if (settings.center) {
+                return projection.translate([width / 2, height / 2]);
+            }
+            return projection.translate([
+                width / 2 - ratio * (bounds[0][0] + bounds[1][0]) / 2,
+                height / 2 - ratio * (bounds[0][1] + bounds[1][1]) / 2
+            ]);
+        },
+
+        /**
+         * Apply the zoom to the map. Features outlines keep their width.
+         */
+        zoomed: function() {
+            var scale = this.zoom.scale(),
+                width = parseFloat(this.model.visualisation.styles.getStyle('choroplethStrokeWidth'));
+
+            this.features
+                .attr('transform', 'translate(' + this.zoom.translate() + ')scale(' + scale + ')')
+                .selectAll('path')
+                    .style('stroke-width', width / scale);
+
+            if (this.symbols) {
+                this.renderSymbols();
+            }
+        },
+
+        /**
+         * Get the symbols of proportional symbol maps: the element's symbols
+         * (see DimensionalElement.getSymbols()), positioned on the centroids
+         * of their features unless they have coordinates
+         */
+        getSymbols: function(gjson) {
+            var symbols = this.model.getSymbols();
+            if (!_.isNull(this.model.getCoordinateFields())) {
+                return symbols;
+            }
+            if (!gjson) {
+                return [];
+            }
+
+            var features = _.indexBy(gjson.features, 'id');
+            return _.compact(_.map(symbols, function(d) {
+                return (features[d.id]) ? _.extend({coordinates: d3.geo.centroid(features[d.id])}, d) : null;
+            }));
+        },
+
+        /**
+         * Project the symbols (the ones outside the projection, e.g. Albers
+         * USA, are skipped) and set their radius scale
+         */
+        setSymbols: function(symbols) {
+            var projection = this.path.projection();
+
+            this.symbols = _.filter(_.map(symbols, function(d) {
+                return _.extend({point: projection(d.coordinates)}, d);
+            }), 'point');
+
+            this.radius = d3.scale.sqrt()
+                .domain([0, d3.max(this.symbols, function(d) { return Math.abs(d.total); }) || 1])
+                .range([0, this.maxSymbolRadius]);
+        },
+
+        /**
+         * Get the radius of a symbol
+         */
+        getSymbolRadius: function(total) {
+            return Math.max(this.minSymbolRadius, this.radius(Math.abs(total)));
+        },
+
+        /**
+         * Draw the symbols at the current zoom (their size doesn't change),
+         * clustering the overlapping ones if the element's "cluster" setting
+         * is set
+         */
+        renderSymbols: function() {
+            var translate = this.zoom.translate(),
+                scale = this.zoom.scale(),
+                symbols = _.map(this.symbols, function(d) {
+                    return {
+                        id: d.id,
+                        ids: [d.id],
+                        total: d.total,
+                        x: translate[0] + d.point[0] * scale,
+                        y: translate[1] + d.point[1] * scale,
+                        r: this.getSymbolRadius(d.total)
+                    };
+                }, this);
+
+            if (this.model.get('settings').get('cluster')) {
+                symbols = this.clusterSymbols(symbols);
+            }
+
+            this.symbolsLayer.selectAll('circle').remove();
+            this.symbolsLayer.selectAll('circle')
+                    .data(_.sortBy(symbols, function(d) { return -d.r; }))
+                .enter().append('circle')
+                    .attr('cx', function(d) { return d.x; })
+                    .attr('cy', function(d) { return d.y; })
+                    .attr('r', function(d) { return d.r; })
+                    .style('fill', _.bind(this.symbolFill, this))
+                    .style('fill-opacity', 0.7)
+                    .style('stroke', this.model.visualisation.styles.getStyle('featureStroke'))
+                    .attr('title', _.bind(this.getSymbolTooltip, this))
+                    .on('click', _.bind(this.symbolClick, this));
+
+            this.attachTooltips('g.symbols circle');
+        },
+
+        /**
+         * Merge the overlapping symbols into clusters, positioned on their
+         * largest symbol and sized by their combined totals
+         */
+        clusterSymbols: function(symbols) {
+            var clusters = [];
+
+            _.each(_.sortBy(symbols, function(d) { return -d.r; }), function(d) {
+                var cluster = _.find(clusters, function(c) {
+                    return Math.sqrt(Math.pow(c.x - d.x, 2) + Math.pow(c.y - d.y, 2)) < c.r + d.r;
+                });
+
+                if (cluster) {
+                    cluster.ids.push(d.id);
+                    cluster.totals.push(d.total);
+                } else {
+                    clusters.push(_.extend({totals: [d.total]}, d));
+                }
+            });
+
+            _.each(clusters, function(c) {
+                if (c.ids.length > 1) {
+                    c.total = this.model.combineTotals(c.totals);
+                    if (!_.isNull(c.total)) {
+                        c.r = this.getSymbolRadius(c.total);
+                    }
+                }
+            }, this);
+
+            return clusters;
+        },
+
+        /**
+         * Set the colour of a symbol (clusters are highlighted if any of
+         * their values is cut)
+         */
+        symbolFill: function(d) {
+            var inactive = this.model.isCut() && !_.some(d.ids, function(id) {
+                return this.model.hasCutId(id);
+            }, this);
+            return this.model.visualisation.styles.getStyle((inactive) ? 'featureFillActive' : 'featureFill');
+        },
+
+        /**
+         * Get a symbol's tooltip (clusters show their number of values)
+         */
+        getSymbolTooltip: function(d) {
+            if (d.ids.length < 2) {
+                return this.getTooltip(d);
+            }
+
+            var label = d.ids.length + ' values';
+            if (!_.isNull(d.total)) {
+                label += ': ' + this.model.getMeasureFormatter('tooltip')(d.total);
+            }
+            return label;
+        },
+
+        /**
+         * Handle a symbol click: clusters cut on all their values
+         */
+        symbolClick: function(d, i) {
+            if (d.ids.length < 2) {
+                this.featureClick(d, i);
+            } else if (this.model.cutValues(d.ids)) {
+                this.setFeatures();
+            }
+        },
+
+        /**
+         * Transition the map to a zoom translation and scale
+         */
+        zoomTo: function(translate, scale) {
+            var map = d3.select(this.container).select('g.map');
+            if (map.empty()) {
+                return;
+            }
+
+            // The transition starts from the last zoom event's view, so
+            // dispatch one for the current view first
+            map.call(this.zoom.event);
+
+            this.zoom.translate(translate).scale(scale);
+            map.transition()
+                .duration(this.zoomDuration)
+                .call(this.zoom.event);
+        },
+
+        /**
+         * Zoom the map by a factor, around its centre
+         */
+        zoomBy: function(factor) {
+            var size = this.zoom.size(),
+                translate = this.zoom.translate(),
+                scale = this.clampZoom(this.zoom.scale() * factor),
+                ratio = scale / this.zoom.scale();
+
+            this.zoomTo([
+                size[0] / 2 - (size[0] / 2 - translate[0]) * ratio,
+                size[1] / 2 - (size[1] / 2 - translate[1]) * ratio
+            ], scale);
+        },
+
+        /**
+         * Restrict a zoom scale to the zoom behaviour's extent
+         */
+        clampZoom: function(scale) {
+            var extent = this.zoom.scaleExtent();
+            return Math.max(extent[0], Math.min(extent[1], scale));
+        },
+
+        zoomIn: function(e) {
+            e.preventDefault();
+            this.zoomBy(this.zoomStep);
+        },
+
+        zoomOut: function(e) {
+            e.preventDefault();
+            this.zoomBy(1 / this.zoomStep);
+        },
+
+        resetZoom: function(e) {
+            e.preventDefault();
+            this.zoomTo([0, 0], 1);
+        },
+
+        /**
+         * Fit the map to a feature (on double-click)
+         */
+        focusFeature: function(d) {
+            clearTimeout(this.clickTimer);
+
+            var size = this.zoom.size(),
+                bounds = this.path.bounds(d),
+                scale = this.clampZoom(0.9 / Math.max(
+                    (bounds[1][0] - bounds[0][0]) / size[0],
+                    (bounds[1][1] - bounds[0][1]) / size[1]
+                ));
+
+            this.zoomTo([
+                size[0] / 2 - scale * (bounds[0][0] + bounds[1][0]) / 2,
+                size[1] / 2 - scale * (bounds[0][1] + bounds[1][1]) / 2
+            ], scale);
+        },
+
+        /**
+         * Overriden: Delay the handling of feature clicks, which are
+         * cancelled by double-clicks (see focusFeature())
+         */
+        featureClick: function(d, i) {
+            var exclude = !_.isNull(d3.event) && d3.event.altKey === true;
+
+            clearTimeout(this.clickTimer);
+            this.clickTimer = setTimeout(_.bind(function() {
+                if (this.model.featureClick(d, i, exclude)) {
+                    this.setFeatures();
+                }
+            }, this), this.clickDelay);
+        },
+
         /**
          * Transform TopoJSON into GeoJSON and cache
          */
         getGeoJSON: function() {
-            if (!this.gjson) {
+            var object = this.model.getTopoJSONObject();
+            if (!this.gjson || this.gjsonObject !== object) {
                 var tjson = this.model.getDimensionData('geo');
-                if (!tjson) {
+                if (!tjson || !_.has(tjson.objects, object)) {
                     return null;
                 }
-                this.gjson = topojson.feature(tjson, tjson.objects.data);
+                this.gjson = topojson.feature(tjson, tjson.objects[object]);
+                this.gjsonObject = object;
             }
             return this.gjson;
         },
@@ -152,31 +489,33 @@ define(['underscore', 'd3', 'topojson', '../chart'],
          * Overriden: Reset all chart features
          */
         setFeatures: function() {
-            d3.select(this.container)
-                .select('svg')
-                    .selectAll('g path')
-                        .style('fill', _.bind(this.featureFill, this));
+            var svg = d3.select(this.container).select('svg');
+
+            svg.selectAll('g path')
+                .style('fill', _.bind(this.featureFill, this));
+
+            svg.selectAll('g.symbols circle')
+                .style('fill', _.bind(this.symbolFill, this));
         },
 
         /**
-         * Set colour of geo chart feature
+         * Overriden: the features of proportional symbol maps aren't coloured
          */
         featureFill: function(d, i) {
-            if (this.model.hasCutId(d.id)) {
-                return this.model.visualisation.styles.getStyle('featureFill');
-            }
-            var value = this.model.getObservationById(d.id);
-            if (value) {
-                return this.colourScale(value.total);
+            if (this.symbols) {
+                return this.model.visualisation.styles.getStyle('choroplethMin');
             }
-            return this.model.visualisation.styles.getStyle('choroplethMin');
+            return ChoroplethChartView.prototype.featureFill.apply(this, arguments);
         },
 
         /**
-         * Set X position of scale item
+         * Implement ChoroplethChartView.getFeatureValue()
          */
-        getScaleItemX: function(d, i) {
-            return i * this.scaleItemWidth;
+        getFeatureValue: function(d) {
+            var value = this.model.getObservationById(d.id);
+            if (value) {
+                return value.total;
+            }
         }
 
     });
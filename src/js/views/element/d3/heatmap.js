@@ -0,0 +1,200 @@
+define(['underscore', 'd3', './choropleth'],
+    function(_, d3, ChoroplethChartView) {
+    'use strict';
+
+    /**
+     * Heatmap: the element's measure cross-tabulated by its two dimensions
+     * (rows on the y-axis and columns on the x-axis), coloured like a
+     * choropleth map
+     */
+    var HeatmapChartView = ChoroplethChartView.extend({
+
+        // Space for the axes labels
+        labelWidth: 100,
+        labelHeight: 60,
+        labelPadding: 5,
+
+        render: function() {
+            ChoroplethChartView.prototype.render.apply(this, arguments);
+            this.$container.empty();
+
+            var cells = this.model.getPivotCells(),
+                rows = this.getAxisValues(cells, 0),
+                columns = this.getAxisValues(cells, 1),
+                left = Math.min(this.labelWidth, this.width / 3),
+                gridWidth = this.width - left - this.margin,
+                gridHeight = this.height - this.labelHeight - this.scaleHeight - this.margin;
+
+            // Don't render, if there isn't enough space
+            if (cells.length < 1 || gridWidth < 1 || gridHeight < 1) {
+                return this;
+            }
+
+            this.x = d3.scale.ordinal()
+                .domain(_.pluck(columns, 'id'))
+                .rangeBands([0, gridWidth], 0.05);
+
+            this.y = d3.scale.ordinal()
+                .domain(_.pluck(rows, 'id'))
+                .rangeBands([0, gridHeight], 0.05);
+
+            // Get colour range for the current set of values
+            this.setColourScale(cells);
+
+            // Add SVG
+            var chart = d3.select(this.container)
+                    .append('svg')
+                        .attr('width', this.width)
+                        .attr('height', this.height)
+                        .attr('class', 'heatmapChart')
+                        .classed('inactive', _.bind(this.model.isCut, this.model)),
+                grid = chart.append('g')
+                    .attr('transform', 'translate(' + left + ',' + this.margin + ')');
+
+            // Cells
+            grid.selectAll('rect.cell')
+                    .data(cells)
+                .enter().append('rect')
+                    .attr('class', 'cell')
+                    .attr('x', _.bind(function(d) { return this.x(d.column); }, this))
+                    .attr('y', _.bind(function(d) { return this.y(d.row); }, this))
+                    .attr('width', this.x.rangeBand())
+                    .attr('height', this.y.rangeBand())
+                    .style('stroke', this.getStyle('choroplethStroke'))
+                    .style('stroke-width', this.getStyle('choroplethStrokeWidth'))
+                    .style('fill', _.bind(this.featureFill, this))
+                    .attr('title', _.bind(this.getTooltip, this))
+                    .on('click', _.bind(this.cellClick, this));
+
+            // Rows labels
+            grid.selectAll('text.row')
+                    .data(rows)
+                .enter().append('text')
+                    .attr('class', 'row')
+                    .attr('text-anchor', 'end')
+                    .attr('x', -this.labelPadding)
+                    .attr('y', _.bind(function(d) { return this.y(d.id) + this.y.rangeBand() / 2; }, this))
+                    .attr('dy', '0.35em')
+                    .text(_.bind(this.getAxisLabel, this, left))
+                    .on('click', _.bind(this.axisClick, this, 0));
+
+            // Columns labels
+            grid.selectAll('text.column')
+                    .data(columns)
+                .enter().append('text')
+                    .attr('class', 'column')
+                    .attr('text-anchor', 'end')
+                    .attr('transform', _.bind(function(d) {
+                        var x = this.x(d.id) + this.x.rangeBand() / 2,
+                            y = gridHeight + this.labelPadding;
+                        return 'translate(' + x + ',' + y + ') rotate(-45)';
+                    }, this))
+                    .text(_.bind(this.getAxisLabel, this, this.labelHeight * Math.SQRT2))
+                    .on('click', _.bind(this.axisClick, this, 1));
+
+            this.setFeatures();
+
+            // Attach tooltips
+            this.attachTooltips('rect.cell');
+
+            // Create scale
+            this.renderScale(chart, this.height - this.scaleHeight);
+
+            return this;
+        },
+
+        /**
+         * Get the rows (index 0) or columns (index 1) values of the cells,
+         * with their labels
+         */
+        getAxisValues: function(cells, index) {
+            var ids = _.sortBy(_.uniq(_.pluck(cells, (index) ? 'column' : 'row')));
+            return _.map(ids, function(id) {
+                return {
+                    id: id,
+                    label: this.model.getLabel({id: id}, index).label
+                };
+            }, this);
+        },
+
+        /**
+         * Get an axis label, shortened to fit in the available width
+         */
+        getAxisLabel: function(width, d) {
+            var label = String(d.label),
+                length = Math.floor((width - this.labelPadding) * label.length / this.getStringWidth(label));
+
+            return (label.length > length) ? label.substr(0, Math.max(length - 3, 1)) + '...' : label;
+        },
+
+        /**
+         * Overriden: Reset all chart features
+         */
+        setFeatures: function() {
+            var svg = d3.select(this.container).select('svg');
+
+            svg.selectAll('rect.cell')
+                .style('fill', _.bind(this.featureFill, this));
+
+            // Axes labels, highlighting the cut values
+            _.each(['row', 'column'], function(axis, index) {
+                svg.selectAll('text.' + axis)
+                    .style('fill', _.bind(function(d) {
+                        var active = (!this.model.isCut(index) || this.model.hasCutId(d.id, index));
+                        return this.model.visualisation.styles.getStyle((active) ? 'label' : 'featureFillActive');
+                    }, this));
+            }, this);
+        },
+
+        /**
+         * Implement ChoroplethChartView.getFeatureValue()
+         */
+        getFeatureValue: function(d) {
+            return d.total;
+        },
+
+        /**
+         * Override ChoroplethChartView.isFeatureCut()
+         */
+        isFeatureCut: function(d) {
+            return this.model.isCellCut(d.row, d.column);
+        },
+
+        /**
+         * Override ChartView.getTooltip()
+         */
+        getTooltip: function(d) {
+            var value = this.model.getPivotValue(d.row, d.column, 'tooltip');
+            if (_.isUndefined(value)) {
+                return;
+            }
+            return this.model.getLabel({id: d.row}, 0).label + ', ' +
+                this.model.getLabel({id: d.column}, 1).label + ': ' +
+                this.model.getMeasureFormatter('tooltip')(value);
+        },
+
+        /**
+         * Cell click: cut on both dimensions
+         */
+        cellClick: function(d) {
+            if (this.model.cellClick(d.row, d.column)) {
+                this.setFeatures();
+            }
+        },
+
+        /**
+         * Axis label click: cut on the label's dimension (alt-click excludes
+         * the value)
+         */
+        axisClick: function(index, d) {
+            var exclude = !_.isNull(d3.event) && d3.event.altKey === true;
+            if (this.model.featureClick(d, index, exclude)) {
+                this.setFeatures();
+            }
+        }
+
+    });
+
+    return HeatmapChartView;
+
+});
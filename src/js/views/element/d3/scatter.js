@@ -0,0 +1,151 @@
+define(['underscore', 'd3', '../chart'],
+    function(_, d3, ChartView) {
+    'use strict';
+
+    /**
+     * Scatter plot: the values of the element's dimension plotted by two
+     * measures, optionally sized by a third one (see ScatterElement)
+     */
+    var ScatterChartView = ChartView.extend({
+
+        margin: {top: 10, right: 20, bottom: 40, left: 60},
+        axisLabelPadding: 6,
+        pointRadius: 5,
+        minPointRadius: 3,
+        maxPointRadius: 20,
+
+        render: function() {
+            ChartView.prototype.render.apply(this, arguments);
+            this.$container.empty();
+
+            var points = this.model.getPoints(),
+                margin = this.margin,
+                width = this.width - margin.left - margin.right,
+                height = this.height - margin.top - margin.bottom;
+
+            // Don't render, if there isn't enough space
+            if (points.length < 1 || width < 1 || height < 1) {
+                return this;
+            }
+
+            this.x = d3.scale.linear()
+                .domain(this.getDomain(points, 'x'))
+                .range([0, width])
+                .nice();
+
+            this.y = d3.scale.linear()
+                .domain(this.getDomain(points, 'y'))
+                .range([height, 0])
+                .nice();
+
+            // Points are sized by area
+            this.size = d3.scale.sqrt()
+                .domain([0, d3.max(points, function(d) { return Math.abs(d.size); }) || 1])
+                .range([this.minPointRadius, this.maxPointRadius]);
+
+            var formatter = this.model.getMeasureFormatter('scale'),
+                chart = d3.select(this.container)
+                    .append('svg')
+                        .attr('width', this.width)
+                        .attr('height', this.height)
+                        .attr('class', 'scatterChart')
+                        .classed('inactive', _.bind(this.model.isCut, this.model)),
+                plot = chart.append('g')
+                    .attr('transform', 'translate(' + margin.left + ',' + margin.top + ')');
+
+            // Axes
+            plot.append('g')
+                .attr('class', 'axis x')
+                .attr('transform', 'translate(0,' + height + ')')
+                .call(d3.svg.axis().scale(this.x).orient('bottom').ticks(Math.max(2, Math.floor(width / 80))).tickFormat(formatter));
+
+            plot.append('g')
+                .attr('class', 'axis y')
+                .call(d3.svg.axis().scale(this.y).orient('left').ticks(Math.max(2, Math.floor(height / 40))).tickFormat(formatter));
+
+            plot.append('text')
+                .attr('class', 'scaleLabel')
+                .attr('text-anchor', 'end')
+                .attr('x', width)
+                .attr('y', height + margin.bottom - this.axisLabelPadding)
+                .text(this.model.getAxisLabel('x'));
+
+            plot.append('text')
+                .attr('class', 'scaleLabel')
+                .attr('text-anchor', 'end')
+                .attr('transform', 'rotate(-90)')
+                .attr('y', this.axisLabelPadding - margin.left)
+                .attr('dy', '0.7em')
+                .text(this.model.getAxisLabel('y'));
+
+            // Points (largest first, so that the smaller ones stay clickable)
+            plot.append('g')
+                .selectAll('g.node')
+                    .data(_.sortBy(points, function(d) { return -Math.abs(d.size); }))
+                .enter().append('g')
+                    .attr('class', 'node')
+                    .attr('title', _.bind(this.getTooltip, this))
+                    .attr('transform', _.bind(function(d) {
+                        return 'translate(' + this.x(d.x) + ',' + this.y(d.y) + ')';
+                    }, this))
+                    .on('click', _.bind(this.featureClick, this))
+                .append('circle')
+                    .attr('r', _.bind(this.getRadius, this));
+
+            this.setFeatures();
+
+            // Attach tooltips
+            this.attachTooltips('g.node');
+
+            return this;
+        },
+
+        /**
+         * Get the extent of the points values for an axis, including 0
+         */
+        getDomain: function(points, axis) {
+            var extent = d3.extent(points, function(d) { return d[axis]; });
+            return [Math.min(0, extent[0]), Math.max(0, extent[1])];
+        },
+
+        /**
+         * Get a point's radius
+         */
+        getRadius: function(d) {
+            return (_.isNull(d.size)) ? this.pointRadius : this.size(Math.abs(d.size));
+        },
+
+        /**
+         * Get a point's width (i.e. its diameter)
+         */
+        getFeatureWidth: function(d) {
+            return this.getRadius(d) * 2;
+        },
+
+        /**
+         * Overriden: Set all chart features
+         */
+        setFeatures: function() {
+            ChartView.prototype.setFeatures.apply(this, arguments);
+
+            var svg = d3.select(this.container).select('svg');
+
+            svg.selectAll('.node circle')
+                .style('fill-opacity', 0.8);
+
+            svg.selectAll('g.axis path, g.tick line')
+                .style('fill', 'none')
+                .style('stroke', this.getStyle('scaleFeature'));
+
+            svg.selectAll('g.tick text')
+                .style('fill', this.getStyle('scaleLabel'));
+
+            svg.selectAll('text.scaleLabel')
+                .style('fill', this.getStyle('measureLabel'));
+        }
+
+    });
+
+    return ScatterChartView;
+
+});
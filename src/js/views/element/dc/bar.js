@@ -1,9 +1,13 @@
-define(['underscore', 'dc', './dcChart'],
-    function(_, dc, DcChartView) {
+define(['underscore', 'dc', 'd3', './dcChart'],
+    function(_, dc, d3, DcChartView) {
     'use strict';
 
     /**
      * Dc.js Bar Chart (Horizontal)
+     *
+     * DC row charts can't stack groups, so the bars of the element's other
+     * measures (see DimensionalElement.getMeasures()) are drawn next to the
+     * main measure's ones once the chart has been drawn.
      */
     var BarChartView = DcChartView.extend({
 
@@ -22,7 +26,15 @@ define(['underscore', 'dc', './dcChart'],
          * Override DcChartView.initChart
          */
         initChart: function() {
-            return DcChartView.prototype.initChart.apply(this, arguments)
+            var chart = DcChartView.prototype.initChart.apply(this, arguments);
+
+            // Keep DC's default to restore it when there's only one measure
+            this.transitionDuration = chart.transitionDuration();
+
+            // Draw the other measures' bars
+            chart.on('pretransition.drawMeasures', _.bind(this.drawMeasures, this));
+
+            return chart
                 // Set margins
                 .margins(_.clone(this.margins))
 
@@ -46,6 +58,21 @@ define(['underscore', 'dc', './dcChart'],
             }
             this.chart.height(this.chartHeight);
 
+            // Scale the x-axis to fit all the measures' bars, which are
+            // moved once drawn (so skip the transitions)
+            if (this.model.getMeasures().length > 1) {
+                this.chart
+                    .elasticX(false)
+                    .x(d3.scale.linear()
+                        .domain(this.getMeasuresExtent())
+                        .range([0, this.chart.effectiveWidth()]))
+                    .transitionDuration(0);
+            } else {
+                this.chart
+                    .elasticX(true)
+                    .transitionDuration(this.transitionDuration);
+            }
+
             // Setup x-axis scale
             this.chart.xAxis()
                 .ticks(this.scaleTicks)
@@ -83,6 +110,102 @@ define(['underscore', 'dc', './dcChart'],
             svg.selectAll('g.row text')
                 .attr('fill', null)
                 .style('fill', this.getStyle('label'));
+
+            // Measures colours
+            _.each(this.getSeriesColours(), function(colour, index) {
+                svg.selectAll('g.row rect.measure._' + index + ':not(.deselected)')
+                    .style('fill', colour);
+            });
+        },
+
+        /**
+         * Get the measures observations, indexed by observation ID
+         */
+        getMeasuresTotals: function() {
+            return _.map(_.rest(this.model.getMeasures()), function(measure, index) {
+                return _.object(_.map(this.model.getMeasureObservations(index + 1), function(d) {
+                    return [d.id, d.total];
+                }));
+            }, this);
+        },
+
+        /**
+         * Get the extent of the values (or of the stacked values) of all the
+         * measures
+         */
+        getMeasuresExtent: function() {
+            var stacked = (this.model.getMeasureLayout() === 'stacked'),
+                totals = this.getMeasuresTotals(),
+                values = [0];
+
+            _.each(this.model.getObservations(), function(d) {
+                var value = d.total;
+                values.push(value);
+                _.each(totals, function(measureTotals) {
+                    value = (stacked) ? value + measureTotals[d.id] : measureTotals[d.id];
+                    values.push(value);
+                });
+            });
+
+            return d3.extent(values);
+        },
+
+        /**
+         * Draw the other measures' bars in each row: either stacked after
+         * the main measure's bar or grouped with it, splitting the row's
+         * height
+         */
+        drawMeasures: function(chart) {
+            var count = this.model.getMeasures().length,
+                stacked = (this.model.getMeasureLayout() === 'stacked'),
+                totals = this.getMeasuresTotals(),
+                x = chart.x();
+
+            chart.svg().selectAll('g.row').each(function(d) {
+                var row = d3.select(this),
+                    main = row.select('rect'),
+                    height = parseFloat(main.attr('height')) / ((stacked) ? 1 : count),
+                    offset = d.total,
+                    bars;
+
+                // Stacked bars start where the previous one ends
+                bars = row.selectAll('rect.measure')
+                    .data(_.map(totals, function(measureTotals, index) {
+                        var bar = {
+                            id: d.id,
+                            total: measureTotals[d.id],
+                            index: index + 1,
+                            from: (stacked) ? offset : 0
+                        };
+                        offset += bar.total;
+                        return bar;
+                    }));
+
+                bars.enter()
+                    .insert('rect', 'text')
+                    .on('click', chart.onClick);
+
+                bars.exit().remove();
+
+                if (!stacked) {
+                    main.attr('height', height);
+                }
+
+                bars.attr('class', function(b) {
+                        return 'measure _' + b.index;
+                    })
+                    .classed('deselected', main.classed('deselected'))
+                    .attr('height', height)
+                    .attr('y', function(b) {
+                        return (stacked) ? 0 : b.index * height;
+                    })
+                    .attr('x', function(b) {
+                        return x(Math.min(b.from, b.from + b.total));
+                    })
+                    .attr('width', function(b) {
+                        return Math.abs(x(b.from + b.total) - x(b.from));
+                    });
+            });
         },
 
         /**
@@ -99,7 +222,7 @@ define(['underscore', 'dc', './dcChart'],
             this.chart.svg().select('.scaleLabel').remove();
 
             // Set measure label
-            this.chart.svg().append('text')
+            var label = this.chart.svg().append('text')
                 .attr('class', 'scaleLabel')
                 .attr('text-anchor', 'middle')
                 .attr('x', (this.width) / 2)
@@ -107,6 +230,22 @@ define(['underscore', 'dc', './dcChart'],
                 .attr('dy', 15)
                 .style('fill', this.getStyle('measureLabel'))
                 .text(this.model.getMeasureLabel());
+
+            // Use the measures colours as a legend
+            if (this.model.getMeasures().length > 1) {
+                var colours = this.getSeriesColours();
+                label.text(null)
+                    .selectAll('tspan')
+                    .data(this.model.getMeasures())
+                    .enter()
+                    .append('tspan')
+                        .style('fill', function(measure, index) {
+                            return colours[index];
+                        })
+                        .text(function(measure, index) {
+                            return ((index) ? ', ' : '') + measure.measure_label;
+                        });
+            }
         }
 
     });
@@ -13,6 +13,9 @@ define(['underscore', 'dc', 'd3', './dcChart', '../../../lib/format'],
 
         margins: {top: 5, left: 50, right: 10, bottom: 70},
 
+        // Select date and numeric ranges with a brush
+        brushable: true,
+
         // Always show labels
         ignoreLabel: _.noop,
 
@@ -20,7 +23,17 @@ define(['underscore', 'dc', 'd3', './dcChart', '../../../lib/format'],
          * Override DcChartView.initChart
          */
         initChart: function() {
-            return DcChartView.prototype.initChart.apply(this, arguments)
+            var chart = DcChartView.prototype.initChart.apply(this, arguments);
+
+            // Keep DC's defaults to restore them when the measures are
+            // stacked (see prepareChart())
+            this.stackedLayout = chart.stackLayout();
+            this.transitionDuration = chart.transitionDuration();
+
+            // Place the grouped measures' bars side by side
+            chart.on('pretransition.groupMeasures', _.bind(this.groupBars, this));
+
+            return chart
                 // Auto-scale axes
                 .elasticX(true)
                 .elasticY(true)
@@ -42,6 +55,19 @@ define(['underscore', 'dc', 'd3', './dcChart', '../../../lib/format'],
         prepareChart: function() {
             DcChartView.prototype.prepareChart.apply(this, arguments);
 
+            // Measures
+            this.prepareSeries();
+            if (this.isGrouped()) {
+                // Bars are moved once drawn, so skip the transitions
+                this.chart
+                    .stackLayout(this.getUnstackedLayout())
+                    .transitionDuration(0);
+            } else {
+                this.chart
+                    .stackLayout(this.stackedLayout)
+                    .transitionDuration(this.transitionDuration);
+            }
+
             // Setup x-axis
             if (this.model.getFieldType() === 'date' && !this.model.isBucketed()) {
                 // Use d3's date/time scale formatter
@@ -75,6 +101,33 @@ define(['underscore', 'dc', 'd3', './dcChart', '../../../lib/format'],
             }
         },
 
+        /**
+         * Check if the chart shows several grouped measures
+         */
+        isGrouped: function() {
+            return (this.model.getMeasures().length > 1 && this.model.getMeasureLayout() === 'grouped');
+        },
+
+        /**
+         * Split each column between the grouped measures' bars
+         */
+        groupBars: function(chart) {
+            if (!this.isGrouped()) {
+                return;
+            }
+
+            var count = this.model.getMeasures().length;
+            chart.svg().selectAll('g.stack').each(function(layer, index) {
+                d3.select(this).selectAll('rect.bar').each(function() {
+                    var bar = d3.select(this),
+                        width = parseFloat(bar.attr('width')) / count;
+
+                    bar.attr('x', parseFloat(bar.attr('x')) + index * width)
+                        .attr('width', width);
+                });
+            });
+        },
+
         /**
          * Override ChartView.getFeatureLabel
          */
@@ -88,6 +141,13 @@ define(['underscore', 'dc', 'd3', './dcChart', '../../../lib/format'],
         styleChart: function(svg) {
             DcChartView.prototype.styleChart.apply(this, arguments);
 
+            // Measures colours
+            var colours = this.getSeriesColours();
+            svg.selectAll('g.stack').each(function(layer, index) {
+                d3.select(this).selectAll('rect.bar:not(.deselected)')
+                    .style('fill', colours[index]);
+            });
+
             // X-Axis labels
             svg.selectAll('g.axis.x text')
                 .attr('transform', 'rotate(-45)')
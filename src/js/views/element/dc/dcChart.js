@@ -1,5 +1,5 @@
-define(['underscore', 'jquery', '../chart'],
-    function(_, $, ChartView) {
+define(['underscore', 'jquery', 'd3', 'dc', '../chart'],
+    function(_, $, d3, dc, ChartView) {
     'use strict';
 
     /**
@@ -16,12 +16,24 @@ define(['underscore', 'jquery', '../chart'],
      *   prepareChart: Prepare chart for rendering
      *   renderChart: Render chart
      *   styleChart: Apply chart styles
+     *
+     * Charts built on DC's stack mixin (column and line charts) can show the
+     * element's measures as series (see prepareSeries()), and select date
+     * or numeric ranges with a brush (see renderBrush()).
      */
     var DcChartView = ChartView.extend({
 
         // Default margins
         margins: {top: 0, left: 10, right: 10, bottom: 50},
 
+        // Height of the series legend (see prepareSeries())
+        legendHeight: 20,
+
+        // Whether a range of the dimension values can be selected with a
+        // brush along the x-axis (see renderBrush()), and the brush height
+        brushable: false,
+        brushHeight: 20,
+
         // Features are styled by Dc
         setFeatures: _.noop,
 
@@ -112,6 +124,79 @@ define(['underscore', 'jquery', '../chart'],
                 .height(this.height);
         },
 
+        /**
+         * Get the chart's series, as {name, group} objects: one for each of
+         * the element's measures
+         */
+        getSeries: function() {
+            return _.map(this.model.getMeasures(), function(measure, index) {
+                return {
+                    name: measure.measure_label,
+                    group: {all: _.bind(this.model.getMeasureObservations, this.model, index)}
+                };
+            }, this);
+        },
+
+        /**
+         * Set one chart layer for each of the chart's series (see
+         * getSeries()), their colours and the legend
+         */
+        prepareSeries: function() {
+            var series = this.getSeries(),
+                names = _.pluck(series, 'name'),
+                margins = this.chart.margins();
+
+            // The first layer is the main measure's
+            this.chart.group(series[0].group, names[0]);
+            _.each(_.rest(series), function(layer) {
+                this.chart.stack(layer.group, layer.name);
+            }, this);
+
+            this.chart.colors(d3.scale.ordinal().domain(names).range(this.getSeriesColours()));
+
+            // Make room for the legend above the chart
+            margins.top = this.margins.top;
+            if (series.length > 1) {
+                margins.top += this.legendHeight;
+
+                if (!this.chart.legend()) {
+                    this.chart.legend(dc.legend().horizontal(true).autoItemWidth(true));
+                }
+                this.chart.legend()
+                    .x(margins.left)
+                    .legendWidth(this.width - margins.left - margins.right);
+            }
+        },
+
+        /**
+         * Get a stack layout drawing all the layers from the same baseline
+         * (i.e. grouped or overlaid rather than stacked)
+         */
+        getUnstackedLayout: function() {
+            if (!this.unstackedLayout) {
+                this.unstackedLayout = d3.layout.stack()
+                    .values(this.chart.stackLayout().values())
+                    .out(function(d, y0, y) {
+                        d.y0 = 0;
+                        d.y = y;
+                    });
+            }
+            return this.unstackedLayout;
+        },
+
+        /**
+         * Get the colours of the element's measures: the first one is the
+         * feature fill, the others are spread around the colour wheel
+         */
+        getSeriesColours: function() {
+            var count = this.model.getMeasures().length,
+                fill = d3.hsl(this.getStyle('featureFill'));
+
+            return _.times(count, function(index) {
+                return d3.hsl(((fill.h || 0) + index * 360 / count) % 360, fill.s, fill.l).toString();
+            });
+        },
+
         /**
          * Render the DC chart
          */
@@ -128,6 +213,9 @@ define(['underscore', 'jquery', '../chart'],
                 this.chart.redraw();
             }
 
+            // Range brush
+            this.renderBrush();
+
             // Attach tooltips using tipsy
             this.$el.find('svg ' + this.tooltipSelector).tipsy({
                 gravity: 's',
@@ -148,6 +236,102 @@ define(['underscore', 'jquery', '../chart'],
             });
         },
 
+        /**
+         * Draw a brush along the x-axis to select a range of the dimension
+         * values, showing the current range cut (if any)
+         */
+        renderBrush: function() {
+            var g = this.chart.g(),
+                brushG = g.select('g.range-brush'),
+                margins = this.chart.margins();
+
+            if (!this.brushable || !this.model.canBrush()) {
+                brushG.remove();
+                return;
+            }
+
+            if (!this.brush) {
+                this.brush = d3.svg.brush()
+                    .on('brushend', _.bind(this.brushEnd, this));
+            }
+            this.brush.x(d3.scale.identity().domain([0, this.chart.xAxisLength()]));
+
+            if (brushG.empty()) {
+                brushG = g.append('g')
+                    .attr('class', 'range-brush');
+            }
+            brushG.attr('transform', 'translate(' + margins.left + ',' + (margins.top + this.chart.effectiveHeight()) + ')');
+
+            // Show the current range cut
+            var range = this.model.getCutRange();
+            if (range) {
+                this.brush.extent(this.getBrushExtent(range));
+            } else {
+                this.brush.clear();
+            }
+
+            brushG.call(this.brush)
+                .selectAll('rect')
+                    .attr('height', this.brushHeight);
+        },
+
+        /**
+         * Get the x position of the centre of an observation's feature
+         */
+        getFeaturePosition: function(id) {
+            var x = this.chart.x();
+            return (this.chart.isOrdinal()) ? x(id) + x.rangeBand() / 2 : x(id);
+        },
+
+        /**
+         * Get the features positions, as {id, x} objects sorted by x
+         */
+        getFeaturePositions: function() {
+            return _.sortBy(_.map(this.model.getObservations(), function(d) {
+                return {id: d.id, x: this.getFeaturePosition(d.id)};
+            }, this), 'x');
+        },
+
+        /**
+         * Get the brush extent covering the features from the first to the
+         * last observation of a range
+         */
+        getBrushExtent: function(range) {
+            var positions = this.getFeaturePositions(),
+                gaps = _.map(_.rest(positions), function(p, i) {
+                    return p.x - positions[i].x;
+                }),
+                padding = (gaps.length > 0) ? _.min(gaps) / 2 : this.brushHeight / 2,
+                from = this.getFeaturePosition(range[0]),
+                to = this.getFeaturePosition(range[1]);
+
+            return [
+                Math.max(0, Math.min(from, to) - padding),
+                Math.min(this.chart.xAxisLength(), Math.max(from, to) + padding)
+            ];
+        },
+
+        /**
+         * Cut on the range of the features within the brush extent. A click
+         * on the x-axis (i.e. an empty brush) removes the range cut.
+         */
+        brushEnd: function() {
+            var extent = this.brush.extent(),
+                ids = _.pluck(_.filter(this.getFeaturePositions(), function(p) {
+                    return p.x >= extent[0] && p.x <= extent[1];
+                }), 'id');
+
+            if (this.brush.empty() || ids.length < 1) {
+                if (this.model.getCutRange()) {
+                    this.model.removeCut();
+                }
+                return;
+            }
+
+            // The positions are sorted along the x-axis
+            this.model.brushCut(_.first(ids), _.last(ids));
+        },
+
         /**
          * Helper method to reset all the chart features styles
          */
@@ -196,6 +380,17 @@ define(['underscore', 'jquery', '../chart'],
             svg.selectAll('.deselected')
                 .style('fill', this.getStyle('featureFillActive'))
                 .style('stroke', this.getStyle('featureStrokeActive'));
+
+            // Range brush
+            svg.selectAll('g.range-brush rect.extent')
+                .style('fill', this.getStyle('featureFill'))
+                .style('fill-opacity', 0.3);
+
+            // Series legend
+            svg.select('g.dc-legend')
+                .style('display', (this.getSeries().length > 1) ? null : 'none')
+                .selectAll('text')
+                    .style('fill', this.getStyle('label'));
         },
 
         /**
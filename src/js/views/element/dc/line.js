@@ -13,6 +13,9 @@ define(['underscore', 'dc', 'd3', './dcChart'],
 
         margins: {top: 5, left: 50, right: 10, bottom: 70},
 
+        // Select date and numeric ranges with a brush
+        brushable: true,
+
         /**
          * Override DcChartView.initChart
          */
@@ -37,13 +40,14 @@ define(['underscore', 'dc', 'd3', './dcChart'],
                 // to figure out how these values are used.
                 .renderDataPoints({strokeOpacity: 0.5, fillOpacity: 1, radius: 3})
 
-                // We need this call because otherwise we can't properly set the
-                // circle colors due to the "fill" attr set by drawDots() in
-                // dc.lineChart()
-                .ordinalColors([this.getStyle('featureActive')])
-
                 // Tweak the padding for the clip path - see dc.coordinateGridMixin
-                .clipPadding(5);
+                .clipPadding(5)
+
+                // Leave gaps for the values missing from the comparison
+                // series (see getComparisonObservations() in the element)
+                .defined(function(d) {
+                    return !_.isNull(d.y);
+                });
 
             // Attach onClick handler after rendering
             //
@@ -81,6 +85,12 @@ define(['underscore', 'dc', 'd3', './dcChart'],
         prepareChart: function() {
             DcChartView.prototype.prepareChart.apply(this, arguments);
 
+            // Draw the measures as overlaid lines. Setting the colours is
+            // also needed to properly style the circles, due to the "fill"
+            // attr set by drawDots() in dc.lineChart()
+            this.prepareSeries();
+            this.chart.stackLayout(this.getUnstackedLayout());
+
             // Use date scale for x-axis
             if (this.model.getFieldType() === 'date') {
                 this.chart.x(d3.time.scale.utc())
@@ -104,11 +114,59 @@ define(['underscore', 'dc', 'd3', './dcChart'],
             this.updateMeasureLabel();
         },
 
+        /**
+         * Override DcChartView.getSeries(): add the comparison series, if any
+         */
+        getSeries: function() {
+            var series = DcChartView.prototype.getSeries.apply(this, arguments);
+            if (this.model.getComparison()) {
+                series.push({
+                    name: this.model.getComparisonLabel(),
+                    group: {all: _.bind(this.model.getComparisonObservations, this.model)}
+                });
+            }
+            return series;
+        },
+
+        /**
+         * Override DcChartView.getSeriesColours(): a single measure keeps the
+         * "featureActive" colour, and the comparison series has the main
+         * measure's colour
+         */
+        getSeriesColours: function() {
+            var colours = (this.model.getMeasures().length > 1) ?
+                DcChartView.prototype.getSeriesColours.apply(this, arguments) :
+                [this.getStyle('featureActive')];
+            return (this.model.getComparison()) ? colours.concat([colours[0]]) : colours;
+        },
+
+        /**
+         * Override ChartView.getTooltip(): add the comparison value and the
+         * relative change since then
+         */
+        getTooltip: function(d) {
+            var label = DcChartView.prototype.getTooltip.apply(this, arguments);
+            if (!label || !this.model.getComparison()) {
+                return label;
+            }
+
+            var previous = _.findWhere(this.model.getComparisonObservations('tooltip'), {id: d.id}),
+                change = this.model.getComparisonChange(d.id);
+
+            if (previous && !_.isNull(previous.total)) {
+                label += '; ' + this.model.getComparisonLabel() + ' ' + this.model.getMeasureFormatter('tooltip')(previous.total);
+            }
+            if (!_.isNull(change)) {
+                label += ' (' + d3.format('+.1%')(change) + ')';
+            }
+            return label;
+        },
+
         /**
          * Set chart styles
          */
         styleChart: function(svg) {
-            // See also the call to this.chart.ordinalColors() in this.initChart()
+            // See also getSeriesColours(), which sets the circles' colours
             svg.selectAll('g.axis.x text')
                 .attr('transform', 'rotate(-45)')
                 .attr('dy', '0.8em')
@@ -125,6 +183,20 @@ define(['underscore', 'dc', 'd3', './dcChart'],
                 .style('fill', 'none')
                 .style('stroke-width', 2);
 
+            // Use the series colours when there are several measures
+            var series = this.getSeries(),
+                colours = (this.model.getMeasures().length > 1) ? this.getSeriesColours() : null;
+            if (colours) {
+                svg.selectAll('g.stack path.line').style('stroke', function(layer, index) {
+                    return colours[index];
+                });
+            }
+
+            // Dash the comparison line (the last one)
+            svg.selectAll('g.stack path.line').style('stroke-dasharray', _.bind(function(layer, index) {
+                return (this.model.getComparison() && index === series.length - 1) ? '5,5' : null;
+            }, this));
+
             // Circles
             // DC line charts don't use the "selected"/"deselected" classes
             // (see drawDots() in dc.lineChart())
@@ -132,6 +204,13 @@ define(['underscore', 'dc', 'd3', './dcChart'],
                 .classed('deselected', _.bind(this.isDeselected, this));
 
             DcChartView.prototype.styleChart.apply(this, arguments);
+
+            if (colours) {
+                svg.selectAll('g.dc-tooltip').each(function(layer, index) {
+                    d3.select(this).selectAll('circle:not(.deselected)')
+                        .style('fill', colours[index]);
+                });
+            }
         },
 
         /**
@@ -1,5 +1,5 @@
-define(['backbone', 'underscore', 'jquery', '../../../lib/format', 'text!../../../templates/element/filter/navigationDimension.html', 'text!../../../templates/element/filter/navigationElement.html', 'bootstrap_collapse'],
-    function (Backbone, _, $, format, navigationDimensionTemplate, navigationElementTemplate) {
+define(['backbone', 'underscore', 'jquery', '../../../lib/format', '../../../lib/cut', 'text!../../../templates/element/filter/navigationDimension.html', 'text!../../../templates/element/filter/navigationElement.html', 'bootstrap_collapse'],
+    function (Backbone, _, $, format, cuts, navigationDimensionTemplate, navigationElementTemplate) {
     'use strict';
 
     var NavigationDimensionView = Backbone.View.extend({
@@ -23,7 +23,7 @@ define(['backbone', 'underscore', 'jquery', '../../../lib/format', 'text!../../.
             var id = this.dimension.get('field'),
                 field = this.dataset.fields.findWhere({id: id}),
                 index = this.index,
-                cut = this.model.getCut(this.index),
+                isCut = this.model.isCut(this.index),
                 numFormatter = this.model.getMeasureFormatter('tooltip'),
 
                 // Get sort
@@ -59,10 +59,12 @@ define(['backbone', 'underscore', 'jquery', '../../../lib/format', 'text!../../.
                 index: index,
                 accordion_id: this.model.get('id') + '_' + id.replace(this.normaliseRegex, '_'),
                 state: (this.navigation.accordionState[id] === true),
-                cut: cut,
+                is_cut: isCut,
                 label: _.isUndefined(field) ? this.model.get('settings').get('label') : field.get('label'),
                 values_count : ids.length,
-                selected_count : (cut.length < 1) ? ids.length : _.intersection(cut, ids).length,
+                selected_count : (!isCut) ? ids.length : _.filter(ids, function (valueId) {
+                    return this.dataset.hasCutId(id, valueId);
+                }, this).length,
                 values: values,
                 dataset: this.dataset,
                 format: format
@@ -179,17 +181,34 @@ define(['backbone', 'underscore', 'jquery', '../../../lib/format', 'text!../../.
 
         /**
          * Handle a dimension value click
+         *
+         * Alt-click excludes the value from the cut; once a dimension has an
+         * exclusion cut, clicks include/exclude values.
          */
         toggleCut: function (e) {
             e.preventDefault();
             var $cut = $(e.currentTarget),
                 dimension = $cut.parents('.filter-group').data('dimension'),
                 dimensionIndex = $cut.parents('.filter-group').data('dimension-index'),
-                cutData = this.model.buildCutArgs($cut.data('value').value, dimensionIndex),
-                numberOfCuts = this.visualisation.dataset.getCut(dimension).length;
+                value = $cut.data('value').value,
+                cut = this.visualisation.dataset.getCut(dimension);
 
+            if (e.altKey || cuts.operator(cut) === 'exclude') {
+                this.model.toggleExclusion(value, dimensionIndex);
+                return;
+            }
+
+            var cutData = this.model.buildCutArgs(value, dimensionIndex),
+                single = (cuts.operator(cut) !== 'in' || cuts.operator(cutData) !== 'in'),
+                numberOfCuts = (single) ? 0 : cuts.values(cut).length;
+
+            // Bucketed dimensions are cut on a single range of values, which
+            // a click on one of its buckets removes as a whole (see
+            // lib/cut.append())
             if ($cut.closest('.cut-wrapper').hasClass('active')) {
-                this.visualisation.dataset.removeCut([dimension], [cutData]);
+                this.visualisation.dataset.removeCut([dimension], (single) ? undefined : [cutData]);
+            } else if (single) {
+                this.visualisation.dataset.addCut(_.object([dimension], [cutData]));
             } else if (numberOfCuts === this.numberOfObservations[dimension] - 1) {
                 this.visualisation.dataset.removeCut([dimension]);
             } else {
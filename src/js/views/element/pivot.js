@@ -0,0 +1,125 @@
+define(['backbone', 'underscore', 'jquery', '../../lib/format', 'text!../../templates/element/pivot.html'],
+    function(Backbone, _, $, format, pivotTemplate) {
+    'use strict';
+
+    /**
+     * Pivot table: the element's measure cross-tabulated by its two
+     * dimensions, with the rows and columns totals in the margins
+     */
+    var PivotElementView = Backbone.View.extend({
+
+        className: 'inner-element',
+
+        events: {
+            'click th a': 'featureClick'
+        },
+
+        template: _.template(pivotTemplate),
+
+        scrollPosition: {top: 0, left: 0},
+
+        initialize: function(options) {
+            this.listenTo(this.model.get('settings'), 'change:label', this.updateLabel);
+        },
+
+        render: function() {
+            var rows = this.getHeaders(0),
+                columns = this.getHeaders(1),
+                attrs = _.extend({
+                    format: format,
+                    numFormatter: this.model.getMeasureFormatter('tooltip'),
+                    cut: this.model.isCut(),
+                    rowsLabel: this.model.getDimensionLabel(0),
+                    columnsLabel: this.model.getDimensionLabel(1),
+                    rows: rows,
+                    columns: columns,
+                    cells: _.object(_.map(rows, function(row) {
+                        return [row.id, _.object(_.map(columns, function(column) {
+                            return [column.id, this.model.getPivotValue(row.id, column.id, 'tooltip')];
+                        }, this))];
+                    }, this)),
+                    total: this.model.getPivotTotal('tooltip')
+                }, this.model.attributes);
+
+            // Render template
+            this.$el.html(this.template(attrs));
+
+            // Set styles (including cut highlighting)
+            this.setFeatures();
+
+            // Set table height and scroll position
+            this.$('.scroll')
+                .css('height', this.$el.height() - this.$('.scroll').position().top)
+                .scrollTop(this.scrollPosition.top)
+                .scrollLeft(this.scrollPosition.left);
+
+            return this;
+        },
+
+        /**
+         * Get the rows (index 0) or columns (index 1) headers: the
+         * dimension's values with their labels and totals
+         */
+        getHeaders: function(index) {
+            return _.map(this.model.getPivotTotals(index, 'tooltip'), function(value) {
+                return {
+                    id: value.id,
+                    total: value.total,
+                    label: this.model.getLabel(_.clone(value), index).label,
+                    cut: this.model.hasCutId(value.id, index)
+                };
+            }, this);
+        },
+
+        updateLabel: function() {
+            this.$('h2').text(this.model.get('settings').get('label'));
+        },
+
+        /**
+         * Set table styles
+         */
+        setFeatures: function() {
+            var styles = this.model.visualisation.styles;
+            this.$('h2').css({
+                'color': styles.getStyle('heading', this.model),
+                'border-color': styles.getStyle('visualisationBackground', this.model)
+            });
+            this.$el.css('background-color', styles.getStyle('background', this.model));
+
+            // Headers of each dimension (cut styles if the dimension is cut)
+            _.each([0, 1], function(index) {
+                var $links = this.$('th a[data-index="' + index + '"]');
+                if (this.model.isCut(index)) {
+                    $links.css('color', styles.getStyle('featureFillActive', this.model));
+                    $links.filter('.cut-active a').css('color', styles.getStyle('featureFill', this.model));
+                } else {
+                    $links.css('color', styles.getStyle('featureFill', this.model));
+                }
+            }, this);
+        },
+
+        /**
+         * Row or column header click
+         */
+        featureClick: function(e) {
+            e.preventDefault();
+
+            // Save the current scroll position of the table
+            this.scrollPosition = {
+                top: this.$('.scroll').scrollTop(),
+                left: this.$('.scroll').scrollLeft()
+            };
+
+            // Cut on the header's dimension value (alt-click excludes the
+            // value)
+            var $link = $(e.currentTarget);
+            if (this.model.featureClick({id: $link.data('value').value}, $link.data('index'), e.altKey)) {
+                this.setFeatures();
+            }
+        }
+
+    });
+
+    return PivotElementView;
+
+});
@@ -117,9 +117,10 @@ define(['backbone', 'underscore', 'jquery', '../../lib/format', 'text!../../temp
             // Save the current scroll position of the table
             this.scrollPosition = this.$('.scroll').scrollTop();
 
-            // Get dimension ID and use to set cut on model
+            // Get dimension ID and use to set cut on model (alt-click
+            // excludes the value)
             var id = $(e.currentTarget).parents('tr').data('value').value;
-            if (this.model.featureClick({id: id})) {
+            if (this.model.featureClick({id: id}, null, e.altKey)) {
                 this.setFeatures();
             }
         },
@@ -1,13 +1,26 @@
-define(['backbone', 'underscore', 'jquery', '../models/visualisation', './layout/list', './layout/grid', './element', 'text!../templates/visualisation.html', 'gridster'],
-    function(Backbone, _, $, Visualisation, ListLayout, GridLayout, ElementView, visualisationEmbedTemplate) {
+define(['backbone', 'underscore', 'jquery', 'filesaver', '../lib/export', '../lib/pdf', '../models/visualisation', './layout/list', './layout/grid', './element', './cutHistory', 'text!../templates/visualisation.html', 'text!../templates/exportError.html', 'gridster'],
+    function(Backbone, _, $, filesaver, exporter, pdf, Visualisation, ListLayout, GridLayout, ElementView, CutHistoryView, visualisationEmbedTemplate, exportErrorTemplate) {
     'use strict';
 
     var VisualisationEmbedView = Backbone.View.extend({
 
         template: _.template(visualisationEmbedTemplate),
 
+        exportErrorTemplate: _.template(exportErrorTemplate),
+
+        events: {
+            'click .download-dashboard-png': 'downloadPNG',
+            'click .download-dashboard-pdf': 'downloadPDF',
+            'click .dashboard-export-error .dismiss': 'dismissExportError'
+        },
+
+        // Quality of the JPEG images of the PDF exports
+        pdfQuality: 0.92,
+
         elementViewType: ElementView,
 
+        cutHistoryViewType: CutHistoryView,
+
         layouts: {
             grid: GridLayout,
             list: ListLayout
@@ -35,6 +48,9 @@ define(['backbone', 'underscore', 'jquery', '../models/visualisation', './layout
 
             // Styles collection event hander
             this.listenTo(this.model.styles, 'ready', this.renderElements);
+
+            // Cut history toolbar
+            this._cutHistory = new this.cutHistoryViewType({model: this.model.dataset});
         },
 
         /**
@@ -62,6 +78,9 @@ define(['backbone', 'underscore', 'jquery', '../models/visualisation', './layout
             // Initialise layout system
             this._layout.init();
 
+            // Render cut history toolbar
+            this._cutHistory.setElement(this.$('.cut-history')).render();
+
             // Render visualisation elements
             this.model.reset();
 
@@ -174,6 +193,117 @@ define(['backbone', 'underscore', 'jquery', '../models/visualisation', './layout
             if ((elTop > viewportBottom) || (elBottom < viewportTop)) {
                 $('html, body').animate({scrollTop: elTop}, 1000);
             }
+        },
+
+        /**
+         * Rasterise every element at its position in the grid. Returns a
+         * promise of {canvas, x, y, width, height} objects (in CSS pixels,
+         * relative to the elements' container).
+         */
+        rasteriseElements: function() {
+            var origin = this.$('.elements').offset(),
+                options = {scale: this.model.getExportScale()};
+
+            return $.when.apply($, this.model.elements.map(function(element) {
+                var $el = this._views[element.cid].$el,
+                    offset = $el.offset();
+
+                return exporter.rasterise($el.get(0), options).then(function(canvas) {
+                    return {
+                        canvas: canvas,
+                        x: offset.left - origin.left,
+                        y: offset.top - origin.top,
+                        width: $el.outerWidth(),
+                        height: $el.outerHeight()
+                    };
+                });
+            }, this)).then(function() {
+                return _.toArray(arguments);
+            });
+        },
+
+        /**
+         * Compose rasterised elements into an image of the dashboard
+         */
+        composeElements: function(items) {
+            var height = _.max(_.map(items, function(item) {
+                return item.y + item.height;
+            }).concat([0]));
+
+            return exporter.compose(items, this.$('.elements').outerWidth(), height, {
+                scale: this.model.getExportScale(),
+                background: this.model.styles.getStyle('visualisationBackground')
+            });
+        },
+
+        /**
+         * Download dashboard as PNG button event handler
+         */
+        downloadPNG: function(e) {
+            e.preventDefault();
+            this.dismissExportError();
+            this.rasteriseElements()
+                .done(_.bind(function(items) {
+                    filesaver(exporter.blob(this.composeElements(items), 'image/png'), 'dashboard.png');
+                }, this))
+                .fail(_.bind(this.renderExportError, this));
+        },
+
+        /**
+         * Download dashboard as PDF button event handler: the dashboard is
+         * scaled to the width of A4 pages, and split between its elements
+         * where possible
+         */
+        downloadPDF: function(e) {
+            e.preventDefault();
+            var scale = this.model.getExportScale();
+
+            this.dismissExportError();
+            this.rasteriseElements()
+                .done(_.bind(function(items) {
+                    var canvas = this.composeElements(items),
+                        points = pdf.a4Width * scale / canvas.width,
+                        breaks = exporter.pageBreaks(items, canvas.height / scale, pdf.a4Height / points);
+
+                    filesaver(pdf.blob(_.map(breaks, function(page) {
+                        var top = Math.round(page[0] * scale),
+                            slice = exporter.crop(canvas, top, Math.min(canvas.height, Math.round(page[1] * scale)) - top);
+
+                        return {
+                            jpeg: exporter.bytes(slice, 'image/jpeg', this.pdfQuality),
+                            width: slice.width,
+                            height: slice.height,
+                            pageWidth: pdf.a4Width,
+                            pageHeight: slice.height * points / scale
+                        };
+                    }, this)), 'dashboard.pdf');
+                }, this))
+                .fail(_.bind(this.renderExportError, this));
+        },
+
+        /**
+         * Render the export error panel (above the elements)
+         */
+        renderExportError: function(error) {
+            this.dismissExportError();
+            $(this.exportErrorTemplate({
+                subject: 'the dashboard',
+                message: (error && error.message) || null
+            }))
+                .addClass('dashboard-export-error')
+                .insertBefore(this.$('.elements'));
+            return this;
+        },
+
+        /**
+         * Remove the export error panel (also the dismiss button event
+         * handler)
+         */
+        dismissExportError: function(e) {
+            if (e) {
+                e.preventDefault();
+            }
+            this.$('.dashboard-export-error').remove();
         }
 
     });